@@ -0,0 +1,356 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const dockerService = require('../docker/docker.service');
+const gluetunService = require('../gluetun/gluetun.service');
+const wireguardService = require('../wireguard/wireguard.service');
+const historyService = require('../history/history.service');
+const locationsService = require('../locations/locations.service');
+const locationMatcher = require('../locations/location-matcher');
+
+const STATE_PATH = path.join(__dirname, '..', 'config', 'state.json');
+const ACTIVATION_PATH = path.join(__dirname, '..', 'config', 'activation.json');
+
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function restoreOptionalFile(filePath, content) {
+  if (content === null) {
+    await fs.rm(filePath, { force: true });
+  } else {
+    await fs.writeFile(filePath, content);
+  }
+}
+
+// Wait until the tunnel container is up (running and healthy)
+async function waitForTunnel() {
+  const containerName = dockerService.getTunnelContainerName();
+  if (!containerName) return { status: 'skipped' };
+
+  const timeoutMs = parseInt(process.env.TUNNEL_CHECK_TIMEOUT || '60', 10) * 1000;
+  return dockerService.waitForContainer(containerName, timeoutMs);
+}
+
+let lastActivation = null;
+let activationInProgress = false;
+
+// "finished" (activation result) and "verified" (activation record once the
+// public IP check is done), whatever started the activation. "progress" is
+// emitted for each step: started, copied, restart, tunnel, rollback,
+// finished, verification.
+const events = new EventEmitter();
+let progressLog = []; // Steps of the current (or last) activation
+
+function emitProgress(activation, step, status, details = {}) {
+  const progress = {
+    activationId: activation.id,
+    sourceName: activation.sourceName,
+    step,
+    status,
+    ...details,
+    at: new Date().toISOString()
+  };
+  if (step === 'started') progressLog = [];
+  progressLog.push(progress);
+  events.emit('progress', progress);
+}
+
+function getProgress() {
+  return [...progressLog];
+}
+
+function isActivationInProgress() {
+  return activationInProgress;
+}
+
+async function getActiveConfigName() {
+  try {
+    return JSON.parse(await fs.readFile(STATE_PATH, 'utf8')).activeConfigName || null;
+  } catch (error) {
+    return null; // The state file does not exist yet
+  }
+}
+
+async function saveActivation(record) {
+  lastActivation = record;
+  try {
+    await fs.writeFile(ACTIVATION_PATH, JSON.stringify(record, null, 2));
+  } catch (error) {
+    console.error('[ACTIVATE] Could not save activation record:', error.message);
+  }
+}
+
+async function getLastActivation() {
+  if (lastActivation) return lastActivation;
+  try {
+    lastActivation = JSON.parse(await fs.readFile(ACTIVATION_PATH, 'utf8'));
+  } catch (error) {
+    // No activation recorded yet
+  }
+  return lastActivation;
+}
+
+async function findLocationCode(fileName) {
+  if (!fileName) return null;
+  try {
+    const location = locationMatcher.findLocation(fileName, await locationsService.loadLocations());
+    return location ? location.countryCode : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function summarizeRestart(restart, phase) {
+  return {
+    containerName: restart.containerName,
+    phase,
+    status: restart.status,
+    durationMs: restart.durationMs,
+    message: restart.message
+  };
+}
+
+// `context` tells who asked for the activation:
+// { actor, trigger: "manual"|"schedule"|"failover"|"location"|"mqtt", reason, location }
+async function recordHistory(context, entry) {
+  try {
+    await historyService.record({
+      actor: context.actor || 'system',
+      trigger: context.trigger || 'manual',
+      reason: context.reason,
+      location: context.location || await findLocationCode(entry.to),
+      ...entry
+    });
+  } catch (error) {
+    console.error('[HISTORY] Could not record the activation:', error.message);
+  }
+}
+
+// Runs in the background so the verification completes even if nobody waits for it
+async function verifyActivation(record) {
+  const activation = { id: record.id, sourceName: record.sourceName };
+  emitProgress(activation, 'verification', 'running');
+  const verification = await gluetunService.verifySwitch(record.verification.oldIp, { startedAt: Date.parse(record.startedAt) });
+  emitProgress(activation, 'verification', verification.status === 'success' ? 'success' : 'error', {
+    oldIp: verification.oldIp,
+    newIp: verification.newIp,
+    timeToConnectMs: verification.timeToConnectMs
+  });
+  console.log(`[VERIFY] ${record.sourceName}: ${verification.status} (${verification.oldIp} -> ${verification.newIp})`);
+  const verified = {
+    ...record,
+    verification: { ...verification, finishedAt: new Date().toISOString() }
+  };
+  // A newer activation may have started while this one was being verified
+  const current = await getLastActivation();
+  if (!current || current.id === record.id) {
+    await saveActivation(verified);
+  } else {
+    console.log(`[VERIFY] ${record.sourceName}: superseded by ${current.sourceName}, result kept in history only`);
+  }
+  events.emit('verified', verified);
+  await historyService.updateActivation(record.id, {
+    newIp: verification.newIp,
+    verification: verification.status,
+    timeToConnectMs: verification.timeToConnectMs
+  });
+}
+
+// Copy the source over wg0.conf and restart the containers. If a restart fails
+// or the tunnel does not come up, the previous wg0.conf and state.json are
+// restored and the containers are restarted again.
+// `fileName` identifies a configuration inside WIREGUARD_DIR. Every attempt
+// is recorded in the history with the given context (see recordHistory).
+// Used by the API and the scheduler; only one activation may run at a time.
+async function activate(fileName, context = {}) {
+  if (activationInProgress) {
+    const error = new Error('Une activation est déjà en cours');
+    await recordHistory(context, { type: 'failure', outcome: 'error', to: fileName, error: error.message });
+    throw error;
+  }
+  activationInProgress = true;
+  const activation = { id: crypto.randomUUID(), sourceName: fileName };
+  const startedAt = Date.now();
+  let from = null;
+  emitProgress(activation, 'started', 'running');
+  try {
+    from = await getActiveConfigName();
+    const result = await runActivation(fileName, activation);
+    await recordHistory(context, {
+      type: result.outcome === 'committed' ? 'activation' : 'rollback',
+      outcome: result.outcome === 'committed' ? 'success' : 'error',
+      activationId: activation.id,
+      from,
+      to: fileName,
+      restarts: [
+        ...result.restarts.map(r => summarizeRestart(r, 'activation')),
+        ...(result.rollback ? result.rollback.restarts : []).map(r => summarizeRestart(r, 'rollback'))
+      ],
+      oldIp: result.oldIp,
+      durationMs: Date.now() - startedAt,
+      error: result.outcome === 'rollback_failed' ? `${result.error} (rollback failed: ${result.rollback.error})` : result.error
+    });
+    // Recorded first so the pages refreshing their history on "finished" see the entry
+    emitProgress(activation, 'finished', result.outcome === 'committed' ? 'success' : 'error', {
+      outcome: result.outcome,
+      error: result.error
+    });
+    events.emit('finished', result);
+    if (result.outcome === 'committed') {
+      verifyActivation(result.activation).catch(error => console.error('[VERIFY] Verification failed:', error));
+    }
+    return result;
+  } catch (error) {
+    await recordHistory(context, {
+      type: 'failure',
+      outcome: 'error',
+      activationId: activation.id,
+      from,
+      to: fileName,
+      durationMs: Date.now() - startedAt,
+      error: error.message
+    });
+    emitProgress(activation, 'finished', 'error', { error: error.message });
+    throw error;
+  } finally {
+    activationInProgress = false;
+  }
+}
+
+async function runActivation(fileName, activation) {
+  const onRestart = (phase) => (result) => emitProgress(activation, 'restart', result.status, {
+    phase,
+    containerName: result.containerName,
+    message: result.message,
+    durationMs: result.durationMs
+  });
+
+  const sourcePath = await wireguardService.resolveConfigPath(fileName);
+  const wg0Path = path.join(wireguardService.getWireguardDir(), 'wg0.conf');
+  const sourceName = fileName;
+
+  const inspection = await wireguardService.inspectConfigFile(sourcePath);
+  if (!inspection.valid) {
+    throw new Error(`Configuration invalide: ${inspection.errors.join('; ')}`);
+  }
+
+  const startedAt = new Date().toISOString();
+  let oldIp = null;
+  try {
+    oldIp = await gluetunService.getPublicIp();
+  } catch (error) {
+    console.log(`[ACTIVATE] Could not read the current public IP: ${error.message}`);
+  }
+
+  const snapshot = {
+    wg0: await readOptionalFile(wg0Path),
+    state: await readOptionalFile(STATE_PATH)
+  };
+
+  let restarts = [];
+  let tunnel = { status: 'skipped' };
+  let failure = null;
+  let restarted = false;
+  try {
+    // A copy failing half way leaves a broken wg0.conf: restored by the rollback
+    console.log(`[ACTIVATE] Attempting to copy '${sourcePath}' to '${wg0Path}'`);
+    await fs.copyFile(sourcePath, wg0Path);
+    console.log(`[ACTIVATE] Copy successful.`);
+    emitProgress(activation, 'copied', 'success');
+
+    await fs.writeFile(STATE_PATH, JSON.stringify({ activeConfigName: sourceName })); // Save the name of the activated file
+
+    restarted = true;
+    restarts = await dockerService.restartContainers(onRestart('activation'));
+    const failedRestart = restarts.find(r => r.status === 'error');
+    if (failedRestart) {
+      failure = `Le redémarrage du conteneur ${failedRestart.containerName} a échoué: ${failedRestart.message}`;
+    } else {
+      emitProgress(activation, 'tunnel', 'running');
+      tunnel = await waitForTunnel();
+      emitProgress(activation, 'tunnel', { up: 'success', down: 'error' }[tunnel.status] || 'skipped', {
+        containerName: tunnel.containerName,
+        state: tunnel.state
+      });
+      if (tunnel.status === 'down') {
+        failure = `Le tunnel ne s'est pas établi (${tunnel.containerName}: ${tunnel.state})`;
+      }
+    }
+  } catch (error) {
+    failure = error.message;
+  }
+
+  if (!failure) {
+    const record = {
+      id: activation.id,
+      sourceName,
+      startedAt,
+      outcome: 'committed',
+      restarts,
+      tunnel,
+      verification: { status: 'pending', oldIp }
+    };
+    await saveActivation(record);
+    return { outcome: 'committed', sourceName, restarts, tunnel, oldIp, activation: record };
+  }
+
+  console.error(`[ACTIVATE] Activation of ${sourceName} failed, rolling back: ${failure}`);
+  const rollback = { restarts: [] };
+  emitProgress(activation, 'rollback', 'running', { error: failure });
+  try {
+    await restoreOptionalFile(wg0Path, snapshot.wg0);
+    await restoreOptionalFile(STATE_PATH, snapshot.state);
+    // The containers still run the previous configuration unless they were restarted
+    if (restarted) {
+      rollback.restarts = await dockerService.restartContainers(onRestart('rollback'));
+      const failedRestart = rollback.restarts.find(r => r.status === 'error');
+      if (failedRestart) {
+        throw new Error(`Le redémarrage du conteneur ${failedRestart.containerName} a échoué: ${failedRestart.message}`);
+      }
+    }
+    console.log('[ACTIVATE] Rollback completed.');
+  } catch (rollbackError) {
+    console.error('[ACTIVATE] Rollback failed:', rollbackError.message);
+    rollback.error = rollbackError.message;
+  }
+  emitProgress(activation, 'rollback', rollback.error ? 'error' : 'success', { error: rollback.error });
+
+  const outcome = rollback.error ? 'rollback_failed' : 'rolled_back';
+  await saveActivation({
+    id: activation.id,
+    sourceName,
+    startedAt,
+    outcome,
+    restarts,
+    tunnel,
+    error: failure,
+    rollback,
+    verification: { status: 'skipped', oldIp }
+  });
+
+  return {
+    outcome,
+    sourceName,
+    restarts,
+    tunnel,
+    oldIp,
+    error: failure,
+    rollback
+  };
+}
+
+module.exports = {
+  events,
+  getProgress,
+  activate,
+  isActivationInProgress,
+  getActiveConfigName,
+  getLastActivation
+};
@@ -1,17 +1,42 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const argon2 = require('argon2');
+const QRCode = require('qrcode');
 const security = require('../security.config.js');
+const permissions = require('./permissions');
+const totp = require('./totp');
 
 const USERS_PATH = path.join(__dirname, '..', 'config', 'security', 'users.json');
+const ROLES = Object.keys(permissions.ROLES);
+const TOTP_ISSUER = 'Gluetun Switcher';
+const RECOVERY_CODE_COUNT = 10;
 
 async function loadUsers() {
   const raw = await fs.readFile(USERS_PATH, 'utf8');
   return JSON.parse(raw);
 }
 
+// The file holds the two-factor secrets
 async function saveUsers(data) {
-  await fs.writeFile(USERS_PATH, JSON.stringify(data, null, 2));
+  await fs.writeFile(USERS_PATH, JSON.stringify(data, null, 2), { mode: 0o600 });
+}
+
+// Changes to users.json are serialised so that a login saving its counters
+// cannot write a stale copy over a concurrent change (a disabled user, a new
+// role...). `update` changes the data in place; the file is only written
+// when something changed.
+let pendingUpdate = Promise.resolve();
+function updateUsers(update) {
+  const next = pendingUpdate.then(async () => {
+    const data = await loadUsers();
+    const before = JSON.stringify(data);
+    const result = await update(data);
+    if (JSON.stringify(data) !== before) await saveUsers(data);
+    return result;
+  });
+  pendingUpdate = next.catch(() => {});
+  return next;
 }
 
 function validatePasswordPolicy(password) {
@@ -42,23 +67,43 @@ function validatePasswordPolicy(password) {
   return true;
 }
 
+// Also gives a role to users written before roles existed: admin for the
+// configured admin, viewer for anyone else. Recreates the configured admin
+// when no enabled admin is left.
 async function ensureAdminPasswordInitialized() {
-  const data = await loadUsers();
-  const admin = data.users.find(u => u.username === security.admin.username);
-  if (!admin.passwordHash) {
-    admin.passwordHash = await argon2.hash(security.admin.defaultPassword, { type: argon2.argon2id });
-    admin.mustChangePassword = true;
-    await saveUsers(data);
-  }
+  await updateUsers(async data => {
+    data.users.forEach(user => {
+      if (!ROLES.includes(user.role)) {
+        user.role = user.username === security.admin.username ? 'admin' : 'viewer';
+      }
+    });
+
+    let admin = data.users.find(u => u.username === security.admin.username);
+    if (!admin && countEnabledAdmins(data.users) === 0) {
+      admin = createUserRecord(security.admin.username, 'admin');
+      data.users.push(admin);
+      console.log(`[USERS] No admin left, recreated ${admin.username}`);
+    }
+    if (admin && !admin.passwordHash) {
+      admin.passwordHash = await argon2.hash(security.admin.defaultPassword, { type: argon2.argon2id });
+      admin.mustChangePassword = true;
+    }
+  });
 }
 
-async function authenticate(username, password) {
-  const data = await loadUsers();
+// The password is checked inside the update, so parallel attempts all count
+// towards the lock
+function authenticate(username, password) {
+  return updateUsers(data => checkPassword(data, username, password));
+}
+
+async function checkPassword(data, username, password) {
   const user = data.users.find(u => u.username === username);
   if (!user) return { success: false };
 
   // User without password must define one
   if (!user.passwordHash) {
+    if (user.disabled) return { success: false, disabled: true };
     return { success: true, mustChangePassword: true, noPassword: true };
   }
 
@@ -69,35 +114,357 @@ async function authenticate(username, password) {
   const ok = await argon2.verify(user.passwordHash, password);
   if (!ok) {
     user.failedAttempts++;
+    let lockedOut = false;
     if (user.failedAttempts >= security.passwordPolicy.maxAttempts) {
       user.lockedUntil = Date.now() + security.passwordPolicy.lockTimeSeconds * 1000;
       user.failedAttempts = 0;
+      lockedOut = true;
     }
-    await saveUsers(data);
-    return { success: false };
+    return { success: false, lockedOut };
   }
 
   user.failedAttempts = 0;
   user.lockedUntil = null;
-  await saveUsers(data);
+  // Checked after the password so a disabled account cannot be probed
+  if (user.disabled) return { success: false, disabled: true };
+  user.lastLoginAt = new Date().toISOString();
 
-  return { success: true, mustChangePassword: user.mustChangePassword };
+  // With two-factor enabled the login is completed by verifyTwoFactor()
+  return {
+    success: true,
+    mustChangePassword: user.mustChangePassword,
+    twoFactor: isTwoFactorEnabled(user),
+    mustEnrollTwoFactor: mustEnrollTwoFactor(data, user)
+  };
 }
 
 async function changePassword(username, newPassword) {
   if (!validatePasswordPolicy(newPassword)) {
     throw new Error('Password policy violation');
   }
+  const passwordHash = await argon2.hash(newPassword, { type: argon2.argon2id });
+  await updateUsers(data => {
+    const user = data.users.find(u => u.username === username);
+    if (!user || user.disabled) throw new Error('Unknown or disabled user');
+    user.passwordHash = passwordHash;
+    user.mustChangePassword = false;
+  });
+}
+
+// --- User management ---
+
+function createUserRecord(username, role) {
+  return {
+    username,
+    role,
+    disabled: false,
+    passwordHash: null,
+    mustChangePassword: true,
+    failedAttempts: 0,
+    lockedUntil: null,
+    createdAt: new Date().toISOString(),
+    lastLoginAt: null
+  };
+}
+
+// Password hashes never leave this module
+function toPublicUser(user) {
+  return {
+    username: user.username,
+    role: user.role,
+    disabled: !!user.disabled,
+    mustChangePassword: !!user.mustChangePassword,
+    locked: !!user.lockedUntil && Date.now() < user.lockedUntil,
+    createdAt: user.createdAt || null,
+    lastLoginAt: user.lastLoginAt || null,
+    twoFactorEnabled: isTwoFactorEnabled(user)
+  };
+}
+
+function countEnabledAdmins(users) {
+  return users.filter(user => user.role === 'admin' && !user.disabled).length;
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  return role;
+}
+
+async function hashNewPassword(password) {
+  if (!validatePasswordPolicy(String(password || ''))) throw new Error('Password policy violation');
+  return argon2.hash(password, { type: argon2.argon2id });
+}
+
+async function listUsers() {
+  return (await loadUsers()).users.map(toPublicUser);
+}
+
+// Also tells whether the user must set up two-factor authentication first
+async function getUser(username) {
+  const data = await loadUsers();
+  const user = data.users.find(u => u.username === username);
+  return user ? { ...toPublicUser(user), mustEnrollTwoFactor: mustEnrollTwoFactor(data, user) } : null;
+}
+
+// The password is temporary: the user must change it at the first login
+async function createUser(input) {
+  const username = String(input.username || '').trim();
+  if (!/^[A-Za-z0-9._@-]{1,64}$/.test(username)) {
+    throw new Error('Username must be 1 to 64 letters, digits, ".", "_", "@" or "-"');
+  }
+  const role = validateRole(input.role || 'viewer');
+  const passwordHash = await hashNewPassword(input.password);
+  const user = await updateUsers(data => {
+    if (data.users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+      throw new Error(`User ${username} already exists`);
+    }
+    const record = { ...createUserRecord(username, role), passwordHash };
+    data.users.push(record);
+    return record;
+  });
+  console.log(`[USERS] User ${username} (${role}) created`);
+  return toPublicUser(user);
+}
+
+// Changes the role and/or the disabled flag. At least one enabled admin must remain.
+async function updateUser(username, input) {
+  const updated = await updateUsers(data => {
+    const user = data.users.find(u => u.username === username);
+    if (!user) return null;
+    const record = {
+      ...user,
+      role: input.role === undefined ? user.role : validateRole(input.role),
+      disabled: input.disabled === undefined ? !!user.disabled : input.disabled === true
+    };
+    const users = data.users.map(u => (u === user ? record : u));
+    if (countEnabledAdmins(users) === 0) throw new Error('At least one enabled admin is required');
+    data.users = users;
+    return record;
+  });
+  if (!updated) return null;
+  console.log(`[USERS] User ${username} updated: role ${updated.role}${updated.disabled ? ', disabled' : ''}`);
+  return toPublicUser(updated);
+}
+
+// Also unlocks the account
+async function resetPassword(username, password) {
+  const passwordHash = await hashNewPassword(password);
+  const user = await updateUsers(data => {
+    const record = data.users.find(u => u.username === username);
+    if (!record) return null;
+    Object.assign(record, { passwordHash, mustChangePassword: true, failedAttempts: 0, lockedUntil: null });
+    return record;
+  });
+  if (!user) return null;
+  console.log(`[USERS] Password of ${username} reset`);
+  return toPublicUser(user);
+}
+
+async function deleteUser(username) {
+  const deleted = await updateUsers(data => {
+    const users = data.users.filter(u => u.username !== username);
+    if (users.length === data.users.length) return false;
+    if (countEnabledAdmins(users) === 0) throw new Error('At least one enabled admin is required');
+    data.users = users;
+    return true;
+  });
+  if (!deleted) return false;
+  console.log(`[USERS] User ${username} deleted`);
+  return true;
+}
+
+// --- Two-factor authentication (TOTP) ---
+// users.json: user.twoFactor = { enabled, secret, pendingSecret, lastStep,
+// recoveryCodes: [sha256], failedAttempts, enabledAt }
+// and settings.requireTwoFactor for every user
+
+function isTwoFactorEnabled(user) {
+  return !!(user.twoFactor && user.twoFactor.enabled);
+}
+
+function getSettings(data) {
+  return { requireTwoFactor: !!(data.settings && data.settings.requireTwoFactor) };
+}
+
+function mustEnrollTwoFactor(data, user) {
+  return getSettings(data).requireTwoFactor && !isTwoFactorEnabled(user);
+}
+
+async function getSecuritySettings() {
+  return getSettings(await loadUsers());
+}
+
+async function updateSecuritySettings(input) {
+  const settings = await updateUsers(data => {
+    data.settings = { ...getSettings(data), requireTwoFactor: input.requireTwoFactor === true };
+    return getSettings(data);
+  });
+  console.log(`[USERS] Two-factor authentication ${settings.requireTwoFactor ? 'required' : 'optional'} for every user`);
+  return settings;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^0-9a-f]/g, '')).digest('hex');
+}
+
+// Shown once; only their hashes are stored. Each one can be used once.
+function generateRecoveryCodes(user) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+}
+
+function findUserOrThrow(data, username) {
+  const user = data.users.find(u => u.username === username);
+  if (!user || user.disabled) throw new Error('Unknown or disabled user');
+  return user;
+}
+
+// Checks a code from the authenticator app and remembers its step against replays
+function checkTotpCode(user, code, secret = user.twoFactor.secret) {
+  const step = totp.verifyCode(secret, code, user.twoFactor.lastStep ?? -1);
+  if (step === null) return false;
+  user.twoFactor.lastStep = step;
+  return true;
+}
+
+async function getTwoFactorStatus(username) {
   const data = await loadUsers();
+  const user = findUserOrThrow(data, username);
+  return {
+    enabled: isTwoFactorEnabled(user),
+    required: getSettings(data).requireTwoFactor,
+    recoveryCodesLeft: isTwoFactorEnabled(user) ? user.twoFactor.recoveryCodes.length : 0
+  };
+}
+
+// A new secret, pending until a code from it is confirmed
+async function startTwoFactorSetup(username) {
+  const secret = totp.generateSecret();
+  await updateUsers(data => {
+    const user = findUserOrThrow(data, username);
+    if (isTwoFactorEnabled(user)) throw new Error('Two-factor authentication is already enabled');
+    user.twoFactor = { enabled: false, pendingSecret: secret };
+  });
+  const otpauthUrl = totp.buildOtpauthUrl(TOTP_ISSUER, username, secret);
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+}
+
+// Returns the recovery codes
+async function confirmTwoFactorSetup(username, code) {
+  const recoveryCodes = await updateUsers(data => {
+    const user = findUserOrThrow(data, username);
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) throw new Error('Start the setup first');
+    if (!checkTotpCode(user, code, user.twoFactor.pendingSecret)) throw new Error('Invalid code');
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      lastStep: user.twoFactor.lastStep,
+      failedAttempts: 0,
+      enabledAt: new Date().toISOString()
+    };
+    return generateRecoveryCodes(user);
+  });
+  console.log(`[USERS] Two-factor authentication enabled for ${username}`);
+  return recoveryCodes;
+}
+
+function regenerateRecoveryCodes(username, code) {
+  return updateUsers(data => {
+    const user = findUserOrThrow(data, username);
+    if (!isTwoFactorEnabled(user)) throw new Error('Two-factor authentication is not enabled');
+    if (!checkTotpCode(user, code)) throw new Error('Invalid code');
+    return generateRecoveryCodes(user);
+  });
+}
+
+async function disableTwoFactor(username, code) {
+  await updateUsers(data => {
+    const user = findUserOrThrow(data, username);
+    if (!isTwoFactorEnabled(user)) throw new Error('Two-factor authentication is not enabled');
+    if (getSettings(data).requireTwoFactor) throw new Error('An admin requires two-factor authentication for every user');
+    if (!checkTotpCode(user, code)) throw new Error('Invalid code');
+    delete user.twoFactor;
+  });
+  console.log(`[USERS] Two-factor authentication disabled for ${username}`);
+}
+
+// Second login step: a code from the app or a recovery code. Failures count
+// towards the same lock as wrong passwords, and are not reset by a correct password.
+// The check and the counters are one update, so parallel attempts cannot
+// skip the lock or replay a code.
+function verifyTwoFactor(username, codes) {
+  return updateUsers(data => checkTwoFactor(data, username, codes));
+}
+
+function checkTwoFactor(data, username, { code, recoveryCode }) {
   const user = data.users.find(u => u.username === username);
-  user.passwordHash = await argon2.hash(newPassword, { type: argon2.argon2id });
-  user.mustChangePassword = false;
-  await saveUsers(data);
+  if (!user || user.disabled || !isTwoFactorEnabled(user)) return { success: false };
+  if (user.lockedUntil && Date.now() < user.lockedUntil) return { success: false, locked: true };
+
+  let usedRecoveryCode = false;
+  let ok = false;
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index !== -1) {
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      ok = usedRecoveryCode = true;
+    }
+  } else {
+    ok = checkTotpCode(user, code);
+  }
+
+  if (!ok) {
+    user.twoFactor.failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+    let lockedOut = false;
+    if (user.twoFactor.failedAttempts >= security.passwordPolicy.maxAttempts) {
+      user.lockedUntil = Date.now() + security.passwordPolicy.lockTimeSeconds * 1000;
+      user.twoFactor.failedAttempts = 0;
+      lockedOut = true;
+    }
+    return { success: false, lockedOut };
+  }
+
+  user.twoFactor.failedAttempts = 0;
+  if (usedRecoveryCode) console.log(`[USERS] Recovery code used by ${username}, ${user.twoFactor.recoveryCodes.length} left`);
+  return { success: true, usedRecoveryCode, recoveryCodesLeft: user.twoFactor.recoveryCodes.length };
+}
+
+// For a user who lost their authenticator app
+async function resetTwoFactor(username) {
+  const user = await updateUsers(data => {
+    const record = data.users.find(u => u.username === username);
+    if (record) delete record.twoFactor;
+    return record || null;
+  });
+  if (!user) return null;
+  console.log(`[USERS] Two-factor authentication of ${username} reset`);
+  return toPublicUser(user);
 }
 
 module.exports = {
+  ROLES,
   ensureAdminPasswordInitialized,
   authenticate,
   changePassword,
-  validatePasswordPolicy
+  validatePasswordPolicy,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  resetPassword,
+  deleteUser,
+  getSecuritySettings,
+  updateSecuritySettings,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  verifyTwoFactor,
+  resetTwoFactor
 };
\ No newline at end of file
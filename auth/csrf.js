@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const security = require('../security.config.js');
+
+// CSRF protection for requests authenticated by the session cookie: the token
+// is stored in the session and mirrored in a cookie readable by the pages,
+// which send it back in the X-CSRF-Token header (or a "_csrf" form field).
+// Requests with an API token do not use the cookie and are not checked.
+const COOKIE_NAME = 'gluetun-switcher.csrf';
+const HEADER_NAME = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// No session to protect yet
+const EXEMPT_PATHS = ['/api/auth/login', '/api/auth/login/2fa'];
+
+function setCookie(res, token) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: false,
+    sameSite: 'strict',
+    secure: security.httpsEnabled === true,
+    path: '/'
+  });
+}
+
+// A new token, on login so a token seen before cannot be reused
+function issueToken(req, res) {
+  req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  setCookie(res, req.session.csrfToken);
+  return req.session.csrfToken;
+}
+
+function readCookie(req) {
+  const match = new RegExp(`(?:^|;\\s*)${COOKIE_NAME.replace(/\./g, '\\.')}=([^;]*)`).exec(req.headers.cookie || '');
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function matches(given, expected) {
+  if (typeof given !== 'string' || given.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+function middleware(req, res, next) {
+  const session = req.session;
+  // Sessions started before this check get a token; a deleted cookie is set again
+  if (session && session.user && !session.csrfToken) {
+    issueToken(req, res);
+  } else if (session && session.csrfToken && readCookie(req) !== session.csrfToken) {
+    setCookie(res, session.csrfToken);
+  }
+
+  if (SAFE_METHODS.includes(req.method) || EXEMPT_PATHS.includes(req.path)) return next();
+  if ((req.get('Authorization') || '').startsWith('Bearer ')) return next();
+  // Unauthenticated requests are rejected by the routes themselves
+  if (!session || !session.csrfToken) return next();
+
+  const given = req.get(HEADER_NAME) || (req.body && req.body._csrf);
+  if (!matches(given, session.csrfToken)) {
+    console.warn('[CSRF] Rejected', req.method, req.path);
+    return res.status(403).json({ success: false, error: 'Invalid or missing CSRF token, reload the page' });
+  }
+  next();
+}
+
+module.exports = {
+  COOKIE_NAME,
+  HEADER_NAME,
+  issueToken,
+  middleware
+};
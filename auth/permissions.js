@@ -0,0 +1,66 @@
+// Access levels, each one including the previous ones:
+// - read: every GET route (status, lists, history)
+// - activate: read, plus switching the VPN
+// - admin: every route
+const LEVELS = ['read', 'activate', 'admin'];
+
+// User roles and the level each one grants
+const ROLES = {
+  admin: 'admin',
+  operator: 'activate',
+  viewer: 'read'
+};
+
+// Read routes exposing other users or notification secrets
+const ADMIN_READ_ROUTES = [
+  /^\/api\/users(\/|$)/,
+  /^\/api\/notifications(\/|$)/
+];
+
+// Every user manages their own API tokens, two-factor authentication and
+// sessions (admins reach other users' sessions, see server.js)
+const SELF_SERVICE_ROUTES = [
+  /^\/api\/tokens(\/[^/]+)?$/,
+  /^\/api\/auth\/2fa(\/[^/]+)?$/,
+  /^\/api\/sessions(\/[^/]+)?$/
+];
+
+const ACTIVATION_ROUTES = [
+  /^\/api\/activate-config$/,
+  /^\/api\/activate-location$/,
+  /^\/api\/schedules\/[^/]+\/run$/,
+  /^\/api\/probes\/run$/
+];
+
+function getRequiredLevel(method, routePath) {
+  if (SELF_SERVICE_ROUTES.some(route => route.test(routePath))) return 'read';
+  if (method === 'GET' || method === 'HEAD') {
+    return ADMIN_READ_ROUTES.some(route => route.test(routePath)) ? 'admin' : 'read';
+  }
+  if (ACTIVATION_ROUTES.some(route => route.test(routePath))) return 'activate';
+  return 'admin';
+}
+
+function allows(level, required) {
+  return LEVELS.includes(level) && LEVELS.indexOf(level) >= LEVELS.indexOf(required);
+}
+
+function getRoleLevel(role) {
+  return ROLES[role] || null;
+}
+
+// A token never grants more than the role of its owner
+function getTokenLevel(scope, role) {
+  const roleLevel = getRoleLevel(role);
+  if (!roleLevel || !LEVELS.includes(scope)) return null;
+  return LEVELS[Math.min(LEVELS.indexOf(scope), LEVELS.indexOf(roleLevel))];
+}
+
+module.exports = {
+  LEVELS,
+  ROLES,
+  getRequiredLevel,
+  getRoleLevel,
+  getTokenLevel,
+  allows
+};
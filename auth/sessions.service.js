@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const session = require('express-session');
+
+const SESSIONS_PATH = path.join(__dirname, '..', 'config', 'security', 'sessions.json');
+const SAVE_DELAY_MS = 1000; // Groups the writes of close requests
+const LAST_SEEN_PRECISION_MS = 60 * 1000; // Avoids a write on every request
+const HASHED_ID = /^[0-9a-f]{64}$/;
+
+// Sessions are stored under a SHA-256 hash of their id, so the file cannot be
+// used to take over a session. The hash is also the id shown on the Sessions page.
+function hashSid(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex');
+}
+
+function getExpiry(sess) {
+  return sess.cookie && sess.cookie.expires ? Date.parse(sess.cookie.expires) : null;
+}
+
+// express-session store keeping every session in config/security/sessions.json,
+// so logins survive a restart: { "<hash of the session id>": { cookie, user, meta, ... } }
+class FileSessionStore extends session.Store {
+  constructor() {
+    super();
+    this.sessions = {};
+    // Hash -> expiry of the revoked sessions: a request of one still running
+    // must not save it back
+    this.destroyed = new Map();
+    this.timer = null;
+    this.pendingWrite = Promise.resolve();
+    try {
+      const stored = JSON.parse(fs.readFileSync(SESSIONS_PATH, 'utf8'));
+      // Files written before the ids were hashed
+      Object.entries(stored).forEach(([key, sess]) => {
+        this.sessions[HASHED_ID.test(key) ? key : hashSid(key)] = sess;
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('[SESSIONS] Could not read sessions, starting empty:', error.message);
+    }
+    this.prune();
+  }
+
+  isExpired(sess) {
+    const expiry = getExpiry(sess);
+    return expiry !== null && expiry <= Date.now();
+  }
+
+  prune() {
+    Object.keys(this.sessions).forEach(key => {
+      if (this.isExpired(this.sessions[key])) delete this.sessions[key];
+    });
+    // Past its expiry, a revoked session is refused by get() anyway
+    this.destroyed.forEach((expiry, key) => {
+      if (expiry <= Date.now()) this.destroyed.delete(key);
+    });
+  }
+
+  remove(key) {
+    const sess = this.sessions[key];
+    if (!sess) return;
+    delete this.sessions[key];
+    this.destroyed.set(key, getExpiry(sess) || Date.now() + SAVE_DELAY_MS);
+  }
+
+  // One write at a time, each one saving the sessions as they are when it starts
+  write() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const next = this.pendingWrite.then(async () => {
+      this.prune();
+      const tmpPath = `${SESSIONS_PATH}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(this.sessions), { mode: 0o600 });
+      await fs.promises.rename(tmpPath, SESSIONS_PATH);
+    });
+    this.pendingWrite = next.catch(() => {});
+    return next;
+  }
+
+  scheduleWrite() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.write().catch(error => console.error('[SESSIONS] Could not save sessions:', error.message));
+    }, SAVE_DELAY_MS);
+  }
+
+  get(sid, callback) {
+    const key = hashSid(sid);
+    const sess = this.sessions[key];
+    if (!sess) return callback(null, null);
+    if (this.isExpired(sess)) {
+      delete this.sessions[key];
+      this.scheduleWrite();
+      return callback(null, null);
+    }
+    callback(null, JSON.parse(JSON.stringify(sess)));
+  }
+
+  set(sid, sess, callback) {
+    const key = hashSid(sid);
+    if (this.destroyed.has(key)) return callback && callback(null);
+    this.sessions[key] = JSON.parse(JSON.stringify(sess));
+    this.scheduleWrite();
+    callback && callback(null);
+  }
+
+  touch(sid, sess, callback) {
+    const key = hashSid(sid);
+    if (this.sessions[key]) {
+      this.sessions[key].cookie = JSON.parse(JSON.stringify(sess.cookie));
+      this.scheduleWrite();
+    }
+    callback && callback(null);
+  }
+
+  // Written at once, so a revoked session cannot come back after a restart
+  destroy(sid, callback) {
+    this.remove(hashSid(sid));
+    this.write().then(() => callback && callback(null), error => callback && callback(error));
+  }
+
+  all(callback) {
+    this.prune();
+    callback(null, JSON.parse(JSON.stringify(this.sessions)));
+  }
+
+  length(callback) {
+    this.prune();
+    callback(null, Object.keys(this.sessions).length);
+  }
+
+  clear(callback) {
+    Object.keys(this.sessions).forEach(key => this.remove(key));
+    this.write().then(() => callback && callback(null), error => callback && callback(error));
+  }
+}
+
+const store = new FileSessionStore();
+
+// Creation date, client and last request of a logged-in session, for the Sessions page
+function trackActivity(req) {
+  const meta = req.session.meta || {};
+  const userAgent = String(req.get('User-Agent') || '').slice(0, 256);
+  const stale = !meta.lastSeenAt || Date.now() - Date.parse(meta.lastSeenAt) > LAST_SEEN_PRECISION_MS;
+  if (!stale && meta.ip === req.ip && meta.userAgent === userAgent) return;
+  req.session.meta = {
+    createdAt: meta.createdAt || new Date().toISOString(),
+    lastSeenAt: new Date().toISOString(),
+    ip: req.ip,
+    userAgent
+  };
+}
+
+// Logged-in sessions, of one user or of everyone (null), most recent first
+function listSessions(username, currentSid) {
+  store.prune();
+  const currentKey = currentSid ? hashSid(currentSid) : null;
+  return Object.entries(store.sessions)
+    .filter(([, sess]) => sess.user && (username === null || sess.user.username === username))
+    .map(([key, sess]) => ({
+      id: key,
+      username: sess.user.username,
+      createdAt: sess.meta ? sess.meta.createdAt : null,
+      lastSeenAt: sess.meta ? sess.meta.lastSeenAt : null,
+      ip: sess.meta ? sess.meta.ip : null,
+      userAgent: sess.meta ? sess.meta.userAgent : null,
+      expiresAt: sess.cookie ? sess.cookie.expires : null,
+      current: key === currentKey
+    }))
+    .sort((a, b) => String(b.lastSeenAt).localeCompare(String(a.lastSeenAt)));
+}
+
+function destroySessions(keys) {
+  if (keys.length === 0) return Promise.resolve(0);
+  keys.forEach(key => store.remove(key));
+  return store.write().then(() => keys.length);
+}
+
+// `username` limits the revocation to the sessions of that user (null: any user).
+// Returns false when no such session exists.
+async function revokeSession(id, username) {
+  const sess = Object.hasOwn(store.sessions, id) ? store.sessions[id] : null;
+  if (!sess || !sess.user || (username !== null && sess.user.username !== username)) return false;
+  await destroySessions([id]);
+  console.log(`[SESSIONS] Session of ${sess.user.username} revoked`);
+  return true;
+}
+
+// On a password change (except the current session), a reset, a disabled or deleted account
+async function revokeUserSessions(username, exceptSid = null) {
+  const exceptKey = exceptSid ? hashSid(exceptSid) : null;
+  const keys = Object.keys(store.sessions).filter(key => {
+    const sess = store.sessions[key];
+    return key !== exceptKey && sess.user && sess.user.username === username;
+  });
+  const count = await destroySessions(keys);
+  if (count > 0) console.log(`[SESSIONS] ${count} session(s) of ${username} revoked`);
+  return count;
+}
+
+module.exports = {
+  store,
+  trackActivity,
+  listSessions,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,139 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const permissions = require('./permissions');
+
+const TOKENS_PATH = path.join(__dirname, '..', 'config', 'security', 'tokens.json');
+const TOKEN_PREFIX = 'gs_';
+const LAST_USED_PRECISION_MS = 60 * 1000; // Avoids a write on every request
+
+// Only a SHA-256 hash of each token is stored; the token itself is shown once.
+// { tokens: [{ id, name, username, scope, hash, hint, createdAt, expiresAt, lastUsedAt }] }
+async function loadTokens() {
+  try {
+    return JSON.parse(await fs.readFile(TOKENS_PATH, 'utf8')).tokens || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function saveTokens(tokens) {
+  await fs.writeFile(TOKENS_PATH, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+}
+
+// Serialized so a revocation is not undone by an update reading the file
+// before it. `update` returns false to skip the write.
+let pendingUpdate = Promise.resolve();
+function updateTokens(update) {
+  const next = pendingUpdate.then(async () => {
+    const tokens = await loadTokens();
+    const result = update(tokens);
+    if (result !== false) await saveTokens(tokens);
+    return result;
+  });
+  pendingUpdate = next.catch(() => {});
+  return next;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toPublicToken({ hash, ...token }) {
+  return { ...token, expired: isExpired(token) };
+}
+
+function isExpired(token) {
+  return !!token.expiresAt && Date.now() >= Date.parse(token.expiresAt);
+}
+
+async function listTokens(username) {
+  return (await loadTokens()).filter(token => token.username === username).map(toPublicToken);
+}
+
+// Returns the stored record and the token, which cannot be read again later.
+// `maxScope` is the level granted by the role of the user.
+async function createToken(username, input, maxScope = 'admin') {
+  const name = String(input.name || '').trim();
+  if (!name || name.length > 64) throw new Error('Name is required (64 characters at most)');
+  const scope = String(input.scope || '');
+  if (!permissions.LEVELS.includes(scope)) throw new Error(`Scope must be one of: ${permissions.LEVELS.join(', ')}`);
+  if (!permissions.allows(maxScope, scope)) throw new Error(`Your role does not allow the "${scope}" scope`);
+  const expiresInDays = input.expiresInDays ? Number(input.expiresInDays) : 0;
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 0 || expiresInDays > 3650) {
+    throw new Error('Expiry must be a number of days between 1 and 3650, or empty for no expiry');
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    username,
+    scope,
+    hash: hashToken(token),
+    hint: token.slice(-4),
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresInDays > 0 ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    lastUsedAt: null
+  };
+  await updateTokens(tokens => {
+    tokens.push(record);
+  });
+  console.log(`[TOKENS] Token "${name}" (${scope}) created for ${username}`);
+  return { token, record: toPublicToken(record) };
+}
+
+async function revokeToken(username, id) {
+  const revoked = await updateTokens(tokens => {
+    const index = tokens.findIndex(token => token.id === id && token.username === username);
+    if (index === -1) return false;
+    tokens.splice(index, 1);
+    return true;
+  });
+  if (!revoked) return false;
+  console.log(`[TOKENS] Token ${id} of ${username} revoked`);
+  return true;
+}
+
+// When a user is deleted
+async function revokeUserTokens(username) {
+  const count = await updateTokens(tokens => {
+    const remaining = tokens.filter(token => token.username !== username);
+    if (remaining.length === tokens.length) return false;
+    const revoked = tokens.length - remaining.length;
+    tokens.splice(0, tokens.length, ...remaining);
+    return revoked;
+  });
+  if (!count) return 0;
+  console.log(`[TOKENS] ${count} token(s) of ${username} revoked`);
+  return count;
+}
+
+// The matching, unexpired token record, or null
+async function verifyToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+  const hash = Buffer.from(hashToken(token), 'hex');
+  const tokens = await loadTokens();
+  const record = tokens.find(entry => crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), hash));
+  if (!record || isExpired(record)) return null;
+
+  if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_PRECISION_MS) {
+    record.lastUsedAt = new Date().toISOString();
+    // Only this record is changed, on the current file: it may have been revoked meanwhile
+    await updateTokens(current => {
+      const entry = current.find(token => token.id === record.id);
+      if (!entry) return false;
+      entry.lastUsedAt = record.lastUsedAt;
+    }).catch(error => console.error('[TOKENS] Could not save last use:', error.message));
+  }
+  return toPublicToken(record);
+}
+
+module.exports = {
+  listTokens,
+  createToken,
+  revokeToken,
+  revokeUserTokens,
+  verifyToken
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, 30 second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const WINDOW = 1; // Steps accepted before and after the current one (clock drift)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const bits = text.toUpperCase().replace(/[\s=]/g, '').split('').map(char => {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    return index.toString(2).padStart(5, '0');
+  }).join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// 160 bits, the size recommended for HMAC-SHA1
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function getStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, step = getStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// The step the code belongs to, or null. Steps up to `lastStep` are refused
+// so a code cannot be used twice.
+function verifyCode(secret, code, lastStep = -1) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(given)) return null;
+  const current = getStep();
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    if (step <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(given))) return step;
+  }
+  return null;
+}
+
+// Key URI read by authenticator apps from the QR code
+// https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+function buildOtpauthUrl(issuer, account, secret) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+// Command line client for the gluetun-switcher REST API.
+// Authenticates with an API token (--token) or a username and password.
+const { parseArgs } = require('util');
+const readline = require('readline/promises');
+
+const USAGE = `Usage: gluetun-switcher <command> [options]
+
+Commands:
+  list                 List the WireGuard configurations
+  status               Show the active configuration, public IP and last activation
+  activate <name>      Activate a configuration (e.g. zurich.conf)
+  history              Show the operation history
+  locations            List the locations and their configurations
+
+Options:
+  --url <url>          Server URL (env GLUETUN_SWITCHER_URL, default http://localhost:3003)
+  --token <token>      API token (env GLUETUN_SWITCHER_TOKEN)
+  --user <name>        Username, when no token is given (env GLUETUN_SWITCHER_USER)
+  --password <pass>    Password (env GLUETUN_SWITCHER_PASSWORD)
+  --code <code>        Two-factor code or recovery code, asked for when missing
+                       in a terminal
+  --json               Print the raw JSON responses
+  -h, --help           Show this help
+
+History options:
+  --type <types>       activation, rollback, failure, login, login_failed (comma separated)
+  --location <code>    Country code
+  --since <date>       e.g. 2024-05-01
+  --until <date>
+  --page <n>
+  --limit <n>          Entries per page (default 20)
+
+Exit codes: 0 success, 1 the operation failed (activation or container restart),
+2 invalid usage, 3 authentication failed, 4 server unreachable or request failed.`;
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, AUTH: 3, REQUEST: 4 };
+
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+function parseCommandLine(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        url: { type: 'string', default: process.env.GLUETUN_SWITCHER_URL || 'http://localhost:3003' },
+        token: { type: 'string', default: process.env.GLUETUN_SWITCHER_TOKEN },
+        user: { type: 'string', default: process.env.GLUETUN_SWITCHER_USER },
+        password: { type: 'string', default: process.env.GLUETUN_SWITCHER_PASSWORD },
+        code: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+        type: { type: 'string' },
+        location: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        page: { type: 'string' },
+        limit: { type: 'string' }
+      }
+    });
+  } catch (error) {
+    throw new CliError(error.message, EXIT.USAGE);
+  }
+}
+
+// "name=value" pairs of every Set-Cookie header, replacing those of `previous`
+function readCookies(headers, previous = '') {
+  const setCookies = headers.getSetCookie
+    ? headers.getSetCookie()
+    : (headers.get('set-cookie') || '').split(/,(?=\s*[^;,=\s]+=)/);
+  const cookies = new Map(previous.split('; ').filter(Boolean).map(pair => [pair.split('=')[0], pair]));
+  setCookies.map(setCookie => setCookie.split(';')[0].trim()).filter(Boolean)
+    .forEach(pair => cookies.set(pair.split('=')[0], pair));
+  return [...cookies.values()].join('; ');
+}
+
+// Second login step of accounts with two-factor authentication
+async function readTwoFactorCode(code) {
+  if (code) return code;
+  if (!process.stdin.isTTY) {
+    throw new CliError('Two-factor authentication is enabled for this account: pass --code, or use an API token (--token)', EXIT.AUTH);
+  }
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return (await prompt.question('Two-factor code: ')).trim();
+  } finally {
+    prompt.close();
+  }
+}
+
+// Keeps the session cookie and the CSRF token when logging in with a password
+function createClient({ url, token, user, password, code }) {
+  const baseUrl = url.replace(/\/+$/, '');
+  let cookie = null;
+  let csrfToken = null;
+
+  async function request(method, endpoint, body) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (cookie) headers.Cookie = cookie;
+    if (csrfToken && method !== 'GET') headers['X-CSRF-Token'] = csrfToken;
+    if (body) headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/api/${endpoint}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        redirect: 'manual'
+      });
+    } catch (error) {
+      throw new CliError(`Cannot reach ${baseUrl}: ${error.cause ? error.cause.message : error.message}`, EXIT.REQUEST);
+    }
+    // Requests without a valid session are redirected to the login page
+    if (response.status === 401 || response.status === 403 || (response.status >= 300 && response.status < 400)) {
+      const data = await response.json().catch(() => ({}));
+      throw new CliError(data.error || 'Not authenticated: use --token or --user and --password', EXIT.AUTH);
+    }
+    const data = await response.json().catch(() => null);
+    if (data === null) throw new CliError(`Unexpected response from ${endpoint} (status ${response.status})`, EXIT.REQUEST);
+    return { status: response.status, data, headers: response.headers };
+  }
+
+  return {
+    request,
+    async login() {
+      if (token) return;
+      if (!user || !password) {
+        throw new CliError('Missing credentials: use --token or --user and --password', EXIT.USAGE);
+      }
+      let response;
+      try {
+        response = await request('POST', 'auth/login', { username: user, password });
+      } catch (error) {
+        if (error.exitCode === EXIT.AUTH) throw new CliError('Invalid username or password, or account locked', EXIT.AUTH);
+        throw error;
+      }
+      if (!response.data.success) throw new CliError('Login failed', EXIT.AUTH);
+      cookie = readCookies(response.headers);
+
+      if (response.data.twoFactorRequired) {
+        const twoFactorCode = await readTwoFactorCode(code);
+        const body = /^\d{6}$/.test(twoFactorCode.replace(/\s/g, '')) ? { code: twoFactorCode } : { recoveryCode: twoFactorCode };
+        try {
+          response = await request('POST', 'auth/login/2fa', body);
+        } catch (error) {
+          if (error.exitCode === EXIT.AUTH) throw new CliError('Invalid two-factor code, or account locked', EXIT.AUTH);
+          throw error;
+        }
+        cookie = readCookies(response.headers, cookie);
+      }
+      csrfToken = response.data.csrfToken;
+    },
+    async logout() {
+      if (cookie) await request('POST', 'auth/logout').catch(() => {});
+    }
+  };
+}
+
+function printTable(rows, columns) {
+  const widths = columns.map(([, title], i) => Math.max(title.length, ...rows.map(row => String(row[i]).length)));
+  const format = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(format(columns.map(([, title]) => title)));
+  rows.forEach(row => console.log(format(row)));
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : '-';
+}
+
+const commands = {
+  async list(client, options) {
+    const [{ data: files }, { data: current }] = await Promise.all([
+      client.request('GET', 'wireguard-files'),
+      client.request('GET', 'current-config-info')
+    ]);
+    if (!files.success) throw new CliError(files.error, EXIT.REQUEST);
+    if (options.json) return console.log(JSON.stringify(files.files, null, 2));
+    const active = current.success ? current.name : null;
+    printTable(files.files.map(file => [
+      file.name === active ? '*' : '',
+      file.name,
+      file.details && file.details.endpointHost ? `${file.details.endpointHost}:${file.details.endpointPort}` : '-',
+      file.valid ? 'valid' : `invalid: ${file.errors.join('; ')}`
+    ]), [['active', ''], ['name', 'NAME'], ['endpoint', 'ENDPOINT'], ['status', 'STATUS']]);
+  },
+
+  async status(client, options) {
+    const [{ data: current }, { data: activation }, ip] = await Promise.all([
+      client.request('GET', 'current-config-info'),
+      client.request('GET', 'activation-status'),
+      client.request('GET', 'geolocation').then(({ data }) => data).catch(error => {
+        if (error.exitCode === EXIT.AUTH) throw error;
+        return { success: false };
+      })
+    ]);
+    if (options.json) return console.log(JSON.stringify({ current, activation: activation.activation, publicIp: ip }, null, 2));
+    console.log(`Active configuration: ${current.success ? current.name : 'none'}`);
+    console.log(`Public IP:            ${ip.success ? `${ip.ip}${ip.country ? ` (${[ip.city, ip.country].filter(Boolean).join(', ')})` : ''}` : 'unavailable'}`);
+    const last = activation.activation;
+    if (last) {
+      const verification = last.verification || {};
+      console.log(`Last activation:      ${last.sourceName} at ${formatDate(last.startedAt)} (${last.outcome})`);
+      console.log(`IP verification:      ${verification.status || '-'}${verification.newIp ? `, new IP ${verification.newIp}` : ''}`);
+    }
+  },
+
+  async activate(client, options, [name]) {
+    if (!name) throw new CliError('Missing configuration name: gluetun-switcher activate <name>', EXIT.USAGE);
+    const { data } = await client.request('POST', 'activate-config', { fileName: name });
+    const failedRestarts = (data.restarts || []).filter(restart => restart.status === 'error');
+    if (options.json) {
+      console.log(JSON.stringify(data, null, 2));
+    } else {
+      (data.restarts || []).forEach(restart => {
+        console.log(`  ${restart.containerName}: ${restart.status}${restart.message ? ` (${restart.message})` : ''}`);
+      });
+      if (data.success) console.log(`Activated ${data.activated.sourceName}`);
+      else console.error(`Activation failed: ${data.error}`);
+    }
+    if (!data.success || failedRestarts.length > 0) return EXIT.FAILED;
+  },
+
+  async history(client, options) {
+    const params = new URLSearchParams();
+    ['type', 'location', 'since', 'until', 'page'].forEach(name => {
+      if (options[name]) params.set(name, options[name]);
+    });
+    if (options.limit) params.set('pageSize', options.limit);
+    const { data } = await client.request('GET', `operation-history?${params}`);
+    if (data.success === false) throw new CliError(data.error, EXIT.USAGE);
+    if (options.json) return console.log(JSON.stringify(data, null, 2));
+    printTable(data.entries.map(entry => [
+      formatDate(entry.timestamp),
+      entry.type,
+      entry.outcome || '-',
+      entry.actor || '-',
+      entry.message || ''
+    ]), [['date', 'DATE'], ['type', 'TYPE'], ['outcome', 'OUTCOME'], ['actor', 'ACTOR'], ['message', 'MESSAGE']]);
+    console.log(`\nPage ${data.page}/${data.pages}, ${data.total} entries`);
+  },
+
+  async locations(client, options) {
+    const { data } = await client.request('GET', 'locations');
+    if (!data.success) throw new CliError(data.error, EXIT.REQUEST);
+    if (options.json) return console.log(JSON.stringify(data, null, 2));
+    printTable(data.locations.map(location => [
+      location.countryCode,
+      location.countryNameKey,
+      location.files.length > 0 ? location.files.join(', ') : '-'
+    ]), [['code', 'CODE'], ['name', 'NAME'], ['files', 'CONFIGURATIONS']]);
+    if (data.unmatchedFiles.length > 0) console.log(`\nMatching no location: ${data.unmatchedFiles.join(', ')}`);
+  }
+};
+
+async function main(argv) {
+  const { values: options, positionals } = parseCommandLine(argv);
+  const [command, ...args] = positionals;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? EXIT.OK : EXIT.USAGE;
+  }
+  if (!commands[command]) throw new CliError(`Unknown command "${command}"\n\n${USAGE}`, EXIT.USAGE);
+
+  const client = createClient(options);
+  await client.login();
+  try {
+    return (await commands[command](client, options, args)) || EXIT.OK;
+  } finally {
+    await client.logout();
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = error.exitCode || EXIT.REQUEST;
+  });
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const security = require('../security.config.js');
+
+const execFileAsync = promisify(execFile);
+
+// Used when HTTPS_KEY_PATH and HTTPS_CERT_PATH are not set
+const SELF_SIGNED_DIR = path.join(__dirname, '..', 'config', 'security', 'tls');
+const SELF_SIGNED_DAYS = 825;
+// Renewal tools often replace the key and the certificate one after the other
+const RELOAD_DELAY_MS = 2000;
+
+function getPaths() {
+  const { httpsKeyPath, httpsCertPath } = security;
+  if (!httpsKeyPath && !httpsCertPath) {
+    return { keyPath: path.join(SELF_SIGNED_DIR, 'key.pem'), certPath: path.join(SELF_SIGNED_DIR, 'cert.pem'), selfSigned: true };
+  }
+  if (!httpsKeyPath || !httpsCertPath) throw new Error('HTTPS_KEY_PATH and HTTPS_CERT_PATH must be set together');
+  return { keyPath: httpsKeyPath, certPath: httpsCertPath, selfSigned: false };
+}
+
+// Valid for localhost, the container hostname and 127.0.0.1
+async function generateSelfSigned({ keyPath, certPath }) {
+  await fs.promises.mkdir(path.dirname(keyPath), { recursive: true });
+  const hostname = os.hostname();
+  await execFileAsync('openssl', [
+    'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256',
+    '-days', String(SELF_SIGNED_DAYS),
+    '-keyout', keyPath,
+    '-out', certPath,
+    '-subj', `/CN=${hostname}`,
+    '-addext', `subjectAltName=DNS:localhost,DNS:${hostname},IP:127.0.0.1`
+  ]);
+  await fs.promises.chmod(keyPath, 0o600);
+  console.log(`[HTTPS] Self-signed certificate generated in ${path.dirname(certPath)}`);
+}
+
+// Throws when a file is missing or the key does not match the certificate
+async function readCredentials({ keyPath, certPath }) {
+  const [key, cert] = await Promise.all([fs.promises.readFile(keyPath), fs.promises.readFile(certPath)]);
+  tls.createSecureContext({ key, cert });
+  return { key, cert };
+}
+
+// Key and certificate for https.createServer(). A self-signed certificate is
+// generated on first start when no path is configured.
+async function loadCredentials() {
+  const paths = getPaths();
+  if (paths.selfSigned && !fs.existsSync(paths.certPath)) await generateSelfSigned(paths);
+  const credentials = await readCredentials(paths);
+  console.log(`[HTTPS] Using certificate ${paths.certPath}`);
+  return credentials;
+}
+
+// Reloads the certificate into the running server when the files change on
+// disk (Let's Encrypt renewals) or on SIGHUP. A broken pair keeps the previous one.
+function watchCertificates(server) {
+  const paths = getPaths();
+  const intervalSeconds = parseInt(process.env.HTTPS_RELOAD_INTERVAL || '60', 10);
+  let timer = null;
+
+  async function reload() {
+    try {
+      server.setSecureContext(await readCredentials(paths));
+      console.log(`[HTTPS] Certificate reloaded from ${paths.certPath}`);
+    } catch (error) {
+      console.error('[HTTPS] Could not reload the certificate, keeping the current one:', error.message);
+    }
+  }
+
+  function scheduleReload(current, previous) {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(reload, RELOAD_DELAY_MS);
+  }
+
+  // Polling also sees files replaced through symlinks or bind mounts
+  if (intervalSeconds > 0) {
+    [paths.keyPath, paths.certPath].forEach(file => fs.watchFile(file, { interval: intervalSeconds * 1000 }, scheduleReload));
+  }
+  process.on('SIGHUP', reload);
+}
+
+module.exports = {
+  loadCredentials,
+  watchCertificates
+};
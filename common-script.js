@@ -0,0 +1,76 @@
+// Helpers shared by the main, settings, two-factor and sessions pages: API
+// calls with the CSRF token, translations and notifications. Each page adds
+// its own calls to `api`.
+
+// CSRF token mirrored by the server in a cookie, sent back with every change
+function getCsrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)gluetun-switcher\.csrf=([^;]*)/);
+    return match ? decodeURIComponent(match[1]) : '';
+}
+
+const api = {
+    async _request(method, endpoint, body = null) {
+        const options = { method, headers: method === 'GET' ? {} : { 'X-CSRF-Token': getCsrfToken() } };
+        if (body) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+        const response = await fetch(`/api/${endpoint}`, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || `Error ${response.status}`);
+        return data;
+    },
+    get(endpoint) { return this._request('GET', endpoint); },
+    post(endpoint, body) { return this._request('POST', endpoint, body); },
+    put(endpoint, body) { return this._request('PUT', endpoint, body); },
+    delete(endpoint) { return this._request('DELETE', endpoint); },
+
+    getMe: () => api.get('auth/me'),
+};
+
+let translations = {};
+
+async function loadTranslations() {
+    const lang = navigator.language.startsWith('fr') ? 'fr' : 'en';
+    document.documentElement.lang = lang;
+    try {
+        const response = await fetch(`locales/${lang}.json`);
+        translations = await response.json();
+        document.querySelectorAll('[data-i18n]').forEach(el => {
+            const key = el.getAttribute('data-i18n');
+            if (translations[key]) el.textContent = translations[key];
+        });
+        document.querySelectorAll('[data-i18n-title]').forEach(el => {
+            const key = el.getAttribute('data-i18n-title');
+            if (translations[key]) el.title = translations[key];
+        });
+    } catch (error) {
+        console.error('Could not load translations:', error);
+    }
+}
+
+function t(key) {
+    return translations[key] || key;
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function formatTimestamp(value) {
+    if (!value) return '-';
+    const lang = document.documentElement.lang === 'fr' ? 'fr-FR' : 'en-GB';
+    return new Intl.DateTimeFormat(lang, {
+        day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).format(new Date(value));
+}
+
+function showNotification(message, type = 'info') {
+    const notification = document.createElement('div');
+    notification.className = `notification ${type}`;
+    const icon = type === 'success' ? 'fas fa-check-circle' : type === 'error' ? 'fas fa-exclamation-circle' : 'fas fa-info-circle';
+    notification.innerHTML = `<i class="${icon}"></i><span>${escapeHtml(message)}</span>`;
+    document.getElementById('notifications').appendChild(notification);
+    setTimeout(() => notification.remove(), 5000);
+    notification.addEventListener('click', () => notification.remove());
+}
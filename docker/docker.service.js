@@ -0,0 +1,145 @@
+const Docker = require('dockerode');
+
+const docker = new Docker({ socketPath: '/var/run/docker.sock' });
+
+// CONTAINER_TO_RESTART entries accept per-container options:
+// "gluetun:timeout=90,qbittorrent:delay=5:timeout=30"
+function parseContainerEntry(entry) {
+  const [containerName, ...options] = entry.split(':').map(part => part.trim());
+  const settings = {
+    delay: parseInt(process.env.RESTART_DELAY || '0', 10),
+    timeout: parseInt(process.env.RESTART_TIMEOUT || '60', 10)
+  };
+  for (const option of options) {
+    const [key, value] = option.split('=');
+    if (key in settings && !Number.isNaN(parseInt(value, 10))) {
+      settings[key] = parseInt(value, 10);
+    }
+  }
+  return { containerName, delayMs: settings.delay * 1000, timeoutMs: settings.timeout * 1000 };
+}
+
+function getContainerEntries() {
+  const containersToRestart = process.env.CONTAINER_TO_RESTART;
+  if (!containersToRestart) return [];
+  return containersToRestart.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(parseContainerEntry)
+    .filter(entry => entry.containerName);
+}
+
+function getContainerNames() {
+  return getContainerEntries().map(entry => entry.containerName);
+}
+
+// The container whose health tells us whether the tunnel is up.
+// Defaults to the first restarted container whose name contains "gluetun".
+function getTunnelContainerName() {
+  if (process.env.GLUETUN_CONTAINER) return process.env.GLUETUN_CONTAINER;
+  return getContainerNames().find(name => /gluetun/i.test(name)) || null;
+}
+
+function getDockerErrorMessage(error) {
+  if (error && error.json && error.json.message) return error.json.message;
+  if (error && error.message) return error.message;
+  if (error) return String(error);
+  return 'Unknown restart error';
+}
+
+// "healthy" when the container is running and, if it defines a healthcheck,
+// reported healthy by Docker. "failed" when it is unhealthy or stopped.
+async function getContainerState(containerName) {
+  const info = await docker.getContainer(containerName).inspect();
+  const health = info.State.Health && info.State.Health.Status;
+  const state = health || info.State.Status;
+
+  if (info.State.Running && (!health || health === 'healthy')) return { status: 'healthy', state };
+  if (health === 'unhealthy' || ['exited', 'dead'].includes(info.State.Status)) return { status: 'failed', state };
+  return { status: 'starting', state };
+}
+
+async function waitForContainer(containerName, timeoutMs) {
+  const startTime = Date.now();
+  let lastState = 'unknown';
+
+  while (Date.now() - startTime < timeoutMs) {
+    try {
+      const { status, state } = await getContainerState(containerName);
+      lastState = state;
+      if (status === 'healthy') return { status: 'up', containerName, state };
+      if (status === 'failed') break;
+    } catch (error) {
+      lastState = getDockerErrorMessage(error);
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  return { status: 'down', containerName, state: lastState };
+}
+
+// Gluetun first, then its dependents in the configured order. Each container
+// must be running (and healthy, if it has a healthcheck) before the next one
+// is restarted, so dependents join a network namespace whose tunnel is up.
+function getRestartPlan() {
+  const entries = getContainerEntries();
+  const tunnelContainer = getTunnelContainerName();
+  return [
+    ...entries.filter(entry => entry.containerName === tunnelContainer),
+    ...entries.filter(entry => entry.containerName !== tunnelContainer)
+  ];
+}
+
+// `onProgress` is called when each restart starts (status "running") and
+// with each result
+async function restartContainers(onProgress = () => {}) {
+  const results = [];
+  let failed = null;
+
+  for (const { containerName, delayMs, timeoutMs } of getRestartPlan()) {
+    if (failed) {
+      const skipped = { containerName, status: 'skipped', message: `Skipped because ${failed} did not come back up` };
+      results.push(skipped);
+      onProgress(skipped);
+      continue;
+    }
+
+    if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+    const startedAt = Date.now();
+    const result = { containerName, startedAt: new Date(startedAt).toISOString() };
+    onProgress({ containerName, status: 'running', startedAt: result.startedAt });
+    try {
+      await docker.getContainer(containerName).restart();
+      result.restartMs = Date.now() - startedAt;
+
+      const wait = await waitForContainer(containerName, timeoutMs);
+      result.healthState = wait.state;
+      if (wait.status === 'up') {
+        result.status = 'success';
+      } else {
+        result.status = 'error';
+        result.message = `Not healthy after restart (state: ${wait.state})`;
+      }
+    } catch (restartError) {
+      result.status = 'error';
+      result.message = getDockerErrorMessage(restartError);
+    }
+    result.durationMs = Date.now() - startedAt;
+
+    results.push(result);
+    onProgress(result);
+    if (result.status === 'error') failed = containerName;
+  }
+
+  return results;
+}
+
+module.exports = {
+  getContainerNames,
+  getTunnelContainerName,
+  getDockerErrorMessage,
+  getRestartPlan,
+  restartContainers,
+  getContainerState,
+  waitForContainer
+};
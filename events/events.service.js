@@ -0,0 +1,38 @@
+// Server-Sent Events: every open page receives the same events, so all tabs
+// follow an activation whoever started it
+const HEARTBEAT_MS = 25000;
+
+const clients = new Set();
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// `initialEvents` are sent to this client only, e.g. the steps of an
+// activation that started before the page was opened
+function subscribe(req, res, initialEvents = []) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable buffering behind nginx
+  });
+  res.write('retry: 5000\n\n');
+  initialEvents.forEach(({ event, data }) => send(res, event, data));
+
+  clients.add(res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+function broadcast(event, data) {
+  for (const res of clients) send(res, event, data);
+}
+
+module.exports = {
+  subscribe,
+  broadcast
+};
@@ -0,0 +1,198 @@
+const fs = require('fs').promises;
+const path = require('path');
+const activationService = require('../activation/activation.service');
+const dockerService = require('../docker/docker.service');
+const gluetunService = require('../gluetun/gluetun.service');
+const wireguardService = require('../wireguard/wireguard.service');
+const historyService = require('../history/history.service');
+
+const FAILOVER_PATH = path.join(__dirname, '..', 'config', 'failover.json');
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  configs: [], // Ordered failover list
+  intervalSeconds: 30,
+  failureThreshold: 3,
+  backoffSeconds: 300, // Doubled after each failover, reset once the tunnel is healthy again
+  maxBackoffSeconds: 3600
+};
+
+const status = {
+  consecutiveFailures: 0,
+  failoverAttempts: 0,
+  lastCheckAt: null,
+  lastCheck: null,
+  lastFailoverAt: null,
+  nextFailoverAllowedAt: null,
+  // Configurations whose activation failed since the tunnel was last healthy
+  failedConfigs: []
+};
+
+let timer = null;
+
+async function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(await fs.readFile(FAILOVER_PATH, 'utf8')) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { ...DEFAULT_SETTINGS };
+    throw error;
+  }
+}
+
+function toPositiveInt(value, name) {
+  const number = parseInt(value, 10);
+  if (!Number.isInteger(number) || number < 1) throw new Error(`${name} must be a positive integer`);
+  return number;
+}
+
+async function saveSettings(input) {
+  const settings = { ...(await loadSettings()), ...input };
+  const validated = {
+    enabled: settings.enabled === true,
+    configs: Array.isArray(settings.configs) ? settings.configs.map(String).filter(Boolean) : [],
+    intervalSeconds: toPositiveInt(settings.intervalSeconds, 'intervalSeconds'),
+    failureThreshold: toPositiveInt(settings.failureThreshold, 'failureThreshold'),
+    backoffSeconds: toPositiveInt(settings.backoffSeconds, 'backoffSeconds'),
+    maxBackoffSeconds: toPositiveInt(settings.maxBackoffSeconds, 'maxBackoffSeconds')
+  };
+  if (validated.enabled && validated.configs.length === 0) {
+    throw new Error('The failover list needs at least one configuration');
+  }
+  await fs.writeFile(FAILOVER_PATH, JSON.stringify(validated, null, 2));
+  return validated;
+}
+
+function getStatus() {
+  return { ...status, failedConfigs: [...status.failedConfigs] };
+}
+
+// The tunnel is healthy when the control server reports "running" and the
+// Gluetun container (when known) is running and healthy.
+async function checkTunnel() {
+  try {
+    const vpnStatus = await gluetunService.getVpnStatus();
+    if (vpnStatus !== 'running') return { healthy: false, reason: `VPN status is "${vpnStatus}"` };
+  } catch (error) {
+    return { healthy: false, reason: `Control server unreachable: ${error.message}` };
+  }
+
+  const containerName = dockerService.getTunnelContainerName();
+  if (containerName) {
+    try {
+      const container = await dockerService.getContainerState(containerName);
+      if (container.status !== 'healthy') {
+        return { healthy: false, reason: `Container ${containerName} is ${container.state}` };
+      }
+    } catch (error) {
+      return { healthy: false, reason: `Container ${containerName}: ${dockerService.getDockerErrorMessage(error)}` };
+    }
+  }
+
+  return { healthy: true };
+}
+
+// Next entry of the ordered list after the active configuration. A failed
+// activation is rolled back, so the active configuration does not move:
+// the entries that already failed are skipped, until every one has failed
+// and a new round starts.
+async function pickNextConfig(settings) {
+  const available = await wireguardService.listConfigFiles();
+  const activeName = await activationService.getActiveConfigName();
+  const start = settings.configs.indexOf(activeName) + 1;
+  const candidates = [];
+
+  for (let i = 0; i < settings.configs.length; i++) {
+    const name = settings.configs[(start + i) % settings.configs.length];
+    if (name !== activeName && available.includes(name)) candidates.push(name);
+  }
+  const untried = candidates.find(name => !status.failedConfigs.includes(name));
+  if (untried || candidates.length === 0) return untried || null;
+  console.log('[FAILOVER] Every configuration of the failover list failed, starting over');
+  status.failedConfigs = [];
+  return candidates[0];
+}
+
+async function failover(settings, reason) {
+  status.lastFailoverAt = new Date().toISOString();
+  status.failoverAttempts++;
+  const backoffMs = Math.min(
+    settings.backoffSeconds * 2 ** (status.failoverAttempts - 1),
+    settings.maxBackoffSeconds
+  ) * 1000;
+  status.nextFailoverAllowedAt = new Date(Date.now() + backoffMs).toISOString();
+  status.consecutiveFailures = 0;
+
+  // The activation service records its own attempts in history
+  const context = {
+    actor: 'failover',
+    trigger: 'failover',
+    reason: `${settings.failureThreshold} failed checks: ${reason}`
+  };
+  try {
+    const configName = await pickNextConfig(settings);
+    if (!configName) {
+      const error = 'No other configuration available in the failover list';
+      console.error(`[FAILOVER] Failover failed: ${error}`);
+      await historyService.record({ type: 'failure', outcome: 'error', ...context, error });
+      return;
+    }
+
+    console.log(`[FAILOVER] Tunnel down (${reason}), switching to ${configName}`);
+    const result = await activationService.activate(configName, context)
+      .catch(error => ({ outcome: 'error', error: error.message }));
+    if (result.outcome !== 'committed') {
+      status.failedConfigs.push(configName);
+      console.error('[FAILOVER] Failover failed:', result.error);
+    }
+  } catch (error) {
+    console.error('[FAILOVER] Failover failed:', error.message);
+  }
+}
+
+async function runCheck(settings) {
+  // The tunnel is expected to be down while a switch is in progress
+  if (activationService.isActivationInProgress()) return;
+
+  const check = await checkTunnel();
+  status.lastCheckAt = new Date().toISOString();
+  status.lastCheck = check;
+
+  if (check.healthy) {
+    status.consecutiveFailures = 0;
+    status.failoverAttempts = 0;
+    status.failedConfigs = [];
+    return;
+  }
+
+  status.consecutiveFailures++;
+  console.log(`[FAILOVER] Check failed (${status.consecutiveFailures}/${settings.failureThreshold}): ${check.reason}`);
+
+  const backoffElapsed = !status.nextFailoverAllowedAt || Date.now() >= Date.parse(status.nextFailoverAllowedAt);
+  if (status.consecutiveFailures >= settings.failureThreshold && backoffElapsed) {
+    await failover(settings, check.reason);
+  }
+}
+
+// Settings are re-read on every cycle so changes apply without a restart
+function start() {
+  if (timer) return;
+  const scheduleNextCheck = async () => {
+    let settings = DEFAULT_SETTINGS;
+    try {
+      settings = await loadSettings();
+      if (settings.enabled) await runCheck(settings);
+    } catch (error) {
+      console.error('[FAILOVER] Health check error:', error.message);
+    }
+    timer = setTimeout(scheduleNextCheck, settings.intervalSeconds * 1000);
+  };
+  timer = setTimeout(scheduleNextCheck, DEFAULT_SETTINGS.intervalSeconds * 1000);
+  console.log('[FAILOVER] Health monitor started');
+}
+
+module.exports = {
+  start,
+  loadSettings,
+  saveSettings,
+  getStatus
+};
@@ -0,0 +1,137 @@
+// Client for the Gluetun HTTP control server
+// https://github.com/qdm12/gluetun-wiki/blob/main/setup/advanced/control-server.md
+
+function getControlUrl() {
+  if (process.env.GLUETUN_CONTROL_URL) {
+    return process.env.GLUETUN_CONTROL_URL.replace(/\/+$/, '');
+  }
+  // Older setups only configured the public IP endpoint, reuse its origin
+  if (process.env.GEOLOCATION_API_URL) {
+    return new URL(process.env.GEOLOCATION_API_URL).origin;
+  }
+  return 'http://localhost:8000';
+}
+
+async function request(endpoint, timeoutMs = 5000) {
+  const headers = {};
+  if (process.env.GLUETUN_API_KEY) {
+    headers['X-API-Key'] = process.env.GLUETUN_API_KEY;
+  }
+  const response = await fetch(`${getControlUrl()}${endpoint}`, {
+    headers,
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`Gluetun control server responded with status ${response.status}`);
+  }
+  return response.json();
+}
+
+let cachedPublicIp = null;
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Gluetun versions return either "ip" or "public_ip", and either a
+// "location" string ("47.36,8.54") or separate latitude/longitude fields.
+function normalizePublicIp(data) {
+  let latitude = toNumber(data.latitude ?? data.lat);
+  let longitude = toNumber(data.longitude ?? data.lon ?? data.lng);
+  if (typeof data.location === 'string') {
+    const coords = data.location.split(',');
+    if (coords.length === 2) {
+      latitude = toNumber(coords[0]);
+      longitude = toNumber(coords[1]);
+    }
+  }
+
+  return {
+    ip: data.public_ip || data.ip || null,
+    country: data.country || data.country_name || null,
+    region: data.region || null,
+    city: data.city || null,
+    latitude,
+    longitude,
+    timezone: data.timezone || null,
+    organization: data.organization || data.org || null
+  };
+}
+
+// Returns the normalized public IP information. The last result is cached for
+// PUBLIC_IP_CACHE_TTL seconds and served as stale when the control server is down.
+async function getPublicIpInfo({ refresh = false } = {}) {
+  const ttlMs = parseInt(process.env.PUBLIC_IP_CACHE_TTL || '30', 10) * 1000;
+  if (!refresh && cachedPublicIp && Date.now() - cachedPublicIp.fetchedAt < ttlMs) {
+    return { ...cachedPublicIp.info, fetchedAt: new Date(cachedPublicIp.fetchedAt).toISOString(), cached: true };
+  }
+
+  try {
+    const info = normalizePublicIp(await request('/v1/publicip/ip'));
+    cachedPublicIp = { info, fetchedAt: Date.now() };
+    return { ...info, fetchedAt: new Date(cachedPublicIp.fetchedAt).toISOString(), cached: false };
+  } catch (error) {
+    if (refresh || !cachedPublicIp) throw error;
+    return { ...cachedPublicIp.info, fetchedAt: new Date(cachedPublicIp.fetchedAt).toISOString(), cached: true, stale: true };
+  }
+}
+
+async function getPublicIp() {
+  const info = await getPublicIpInfo({ refresh: true });
+  return info.ip;
+}
+
+// Returns "running" when the tunnel is up
+async function getVpnStatus() {
+  const data = await request('/v1/vpn/status');
+  return data.status || null;
+}
+
+// Poll the control server until the tunnel reports running and the public IP
+// differs from oldIp (any IP is accepted when oldIp is unknown).
+// timeToConnectMs counts from options.startedAt (when the activation began,
+// in milliseconds), or from the start of the verification without it.
+async function verifySwitch(oldIp, options = {}) {
+  const timeoutMs = options.timeoutMs || parseInt(process.env.VERIFY_TIMEOUT || '90', 10) * 1000;
+  const intervalMs = options.intervalMs || 3000;
+  const startTime = Date.now();
+  const connectStart = options.startedAt || startTime;
+  let newIp = null;
+  let vpnStatus = null;
+
+  while (Date.now() - startTime < timeoutMs) {
+    try {
+      vpnStatus = await getVpnStatus();
+      newIp = await getPublicIp();
+      if (vpnStatus === 'running' && newIp && newIp !== oldIp) {
+        return {
+          status: 'success',
+          oldIp,
+          newIp,
+          vpnStatus,
+          timeToConnectMs: Date.now() - connectStart
+        };
+      }
+    } catch (error) {
+      // Control server is usually unreachable while Gluetun restarts
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  return {
+    status: 'timeout',
+    oldIp,
+    newIp,
+    vpnStatus,
+    timeToConnectMs: null
+  };
+}
+
+module.exports = {
+  getControlUrl,
+  getPublicIp,
+  getPublicIpInfo,
+  getVpnStatus,
+  verifySwitch
+};
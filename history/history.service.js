@@ -0,0 +1,186 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const HISTORY_PATH = path.join(__dirname, '..', 'config', 'history', 'history.json');
+const TYPES = ['activation', 'rollback', 'failure', 'login', 'login_failed', 'message'];
+const MAX_PAGE_SIZE = 200;
+const CSV_COLUMNS = ['timestamp', 'type', 'outcome', 'actor', 'trigger', 'from', 'to', 'location',
+  'oldIp', 'newIp', 'durationMs', 'restarts', 'reason', 'error', 'message'];
+
+// Emits "recorded" with every new entry
+const events = new EventEmitter();
+
+// Entries are kept newest first:
+// { id, timestamp, type, outcome: "success"|"error", actor, trigger, from, to,
+//   location, restarts, oldIp, newIp, durationMs, reason, error, message }
+function getRetention() {
+  return {
+    maxEntries: parseInt(process.env.HISTORY_MAX_ENTRIES || '1000', 10),
+    maxAgeDays: parseInt(process.env.HISTORY_RETENTION_DAYS || '90', 10)
+  };
+}
+
+// Entries written by older versions only had a type ("success"/"error"/"info") and a message
+function normalizeEntry(entry) {
+  if (TYPES.includes(entry.type)) return entry;
+  return {
+    id: crypto.randomUUID(),
+    timestamp: new Date(entry.timestamp).toISOString(),
+    type: 'message',
+    outcome: entry.type === 'error' ? 'error' : 'success',
+    message: String(entry.message || '').replace(/<[^>]*>/g, '')
+  };
+}
+
+async function readHistory() {
+  try {
+    return JSON.parse(await fs.readFile(HISTORY_PATH, 'utf8')).map(normalizeEntry);
+  } catch (error) {
+    if (error.code === 'ENOENT') return []; // The file does not exist yet
+    throw error;
+  }
+}
+
+function applyRetention(history) {
+  const { maxEntries, maxAgeDays } = getRetention();
+  const oldest = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+  const kept = history.filter(entry => Date.parse(entry.timestamp) >= oldest);
+  return maxEntries > 0 ? kept.slice(0, maxEntries) : kept;
+}
+
+async function writeHistory(history) {
+  await fs.mkdir(path.dirname(HISTORY_PATH), { recursive: true });
+  await fs.writeFile(HISTORY_PATH, JSON.stringify(applyRetention(history), null, 2));
+}
+
+// Serialized so entries recorded at the same time are not lost
+let pendingUpdate = Promise.resolve();
+function updateHistory(update) {
+  const next = pendingUpdate.then(async () => {
+    const history = await readHistory();
+    const result = update(history);
+    await writeHistory(history);
+    return result;
+  });
+  pendingUpdate = next.catch(() => {});
+  return next;
+}
+
+async function clearHistory() {
+  await updateHistory(history => {
+    history.length = 0;
+  });
+}
+
+function describe(entry) {
+  const target = entry.to ? ` ${entry.to}` : '';
+  switch (entry.type) {
+    case 'activation':
+      return `Activated${target}${entry.from ? ` (from ${entry.from})` : ''}`;
+    case 'rollback':
+      return `Activation of${target} rolled back: ${entry.error}`;
+    case 'failure':
+      return `Activation${target ? ` of${target}` : ''} failed: ${entry.error}`;
+    case 'login':
+      return `${entry.actor} logged in`;
+    case 'login_failed':
+      return `Failed login for ${entry.actor}${entry.error ? ` (${entry.error})` : ''}`;
+    default:
+      return entry.message || '';
+  }
+}
+
+// Record an operation. Returns the stored entry.
+async function record(input) {
+  const entry = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...input };
+  if (!entry.message) entry.message = describe(entry);
+  await updateHistory(history => {
+    history.unshift(entry);
+  });
+  events.emit('recorded', entry);
+  return entry;
+}
+
+// Complete an activation entry once its public IP has been verified
+async function updateActivation(activationId, changes) {
+  await updateHistory(history => {
+    const entry = history.find(e => e.activationId === activationId);
+    if (entry) Object.assign(entry, changes);
+  });
+}
+
+function parseDate(value, endOfDay) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    const error = new Error(`Invalid date "${value}"`);
+    error.code = 'INVALID_FILTER';
+    throw error;
+  }
+  // A plain date ("2024-05-01") as upper bound includes the whole day
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Filters: type (comma separated), since, until, location, actor
+function filterHistory(history, filters = {}) {
+  const types = filters.type ? String(filters.type).split(',').filter(Boolean) : null;
+  const since = parseDate(filters.since, false);
+  const until = parseDate(filters.until, true);
+
+  return history.filter(entry => {
+    const time = Date.parse(entry.timestamp);
+    if (types && !types.includes(entry.type)) return false;
+    if (since !== null && time < since) return false;
+    if (until !== null && time > until) return false;
+    if (filters.location && entry.location !== filters.location) return false;
+    if (filters.actor && entry.actor !== filters.actor) return false;
+    return true;
+  });
+}
+
+async function queryHistory(filters = {}) {
+  const entries = filterHistory(await readHistory(), filters);
+  const pageSize = Math.min(Math.max(parseInt(filters.pageSize, 10) || 20, 1), MAX_PAGE_SIZE);
+  const pages = Math.max(Math.ceil(entries.length / pageSize), 1);
+  const page = Math.min(Math.max(parseInt(filters.page, 10) || 1, 1), pages);
+  return {
+    entries: entries.slice((page - 1) * pageSize, page * pageSize),
+    total: entries.length,
+    page,
+    pages,
+    pageSize
+  };
+}
+
+function csvValue(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`; // Keep spreadsheets from evaluating formulas
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    if (column === 'restarts') {
+      return csvValue((entry.restarts || []).map(r => `${r.containerName}:${r.status}${r.durationMs !== undefined ? `:${r.durationMs}ms` : ''}`).join(' '));
+    }
+    return csvValue(entry[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+async function exportHistory(filters = {}, format = 'json') {
+  const entries = filterHistory(await readHistory(), filters);
+  return format === 'csv' ? toCsv(entries) : JSON.stringify(entries, null, 2);
+}
+
+module.exports = {
+  TYPES,
+  events,
+  record,
+  updateActivation,
+  queryHistory,
+  exportHistory,
+  clearHistory
+};
@@ -0,0 +1,190 @@
+// Maps WireGuard file names to the entries of locations.json.
+// Shared by the server (require) and the browser (window.locationMatcher) so
+// both always agree on which location a file belongs to.
+//
+// A location keyword is one of:
+// - a plain keyword ("paris"), matching a whole word of the file name
+//   ("fr-paris-01.conf", but not "comparison.conf")
+// - a glob ("us-chicago-*"), matching the whole name without ".conf"
+// - a regular expression between slashes ("/^us-(ord|chi)-\d+$/"), tested
+//   case-insensitively against the name without ".conf"
+// Patterns longer than 100 characters, with more than 3 repetitions ("*",
+// "+", "?", "{n,m}", and "|" in a regular expression) or with a repeated
+// group that itself repeats or alternates ("(a+)+", "(a|ab)*") are refused,
+// and globs and regular expressions are only tested against names of at
+// most 64 characters: otherwise a pattern such as "/a*a*a*a*b/" can take
+// the server or the browser a very long time to test.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.locationMatcher = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+  const MAX_PATTERN_LENGTH = 100;
+  const MAX_REPETITIONS = 3;
+  const MAX_NAME_LENGTH = 64;
+
+  function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function getPatternType(pattern) {
+    if (REGEX_PATTERN.test(pattern)) return 'regex';
+    if (/[*?]/.test(pattern)) return 'glob';
+    return 'keyword';
+  }
+
+  // Length of the quantifier at `index` ("*", "+", "?", "{n}", "{n,m}",
+  // optionally lazy), 0 when there is none
+  function quantifierLength(source, index) {
+    const match = source.slice(index).match(/^(?:[*+?]|\{\d+(?:,\d*)?\})\??/);
+    return match ? match[0].length : 0;
+  }
+
+  // `nested` is true for a quantified group containing a quantifier or an
+  // alternation, at any depth: the shapes that backtrack exponentially.
+  // `repetitions` counts the quantifiers and the alternations.
+  function analyseRegex(source) {
+    const groups = [{ repeats: false }];
+    let repetitions = 0;
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      const top = groups[groups.length - 1];
+      if (char === '(') {
+        groups.push({ repeats: false });
+        // "(?:", "(?=", "(?!", "(?<=", "(?<!" and "(?<name>"
+        const prefix = source.slice(i + 1).match(/^\?(?:[:=!]|<[=!]|<[^>]*>)/);
+        if (prefix) i += prefix[0].length;
+        continue;
+      }
+      if (char === '|') {
+        top.repeats = true;
+        repetitions++;
+        continue;
+      }
+      if (char === ')') {
+        if (groups.length === 1) continue;
+        const group = groups.pop();
+        const length = quantifierLength(source, i + 1);
+        if (group.repeats && length) return { nested: true, repetitions };
+        if (group.repeats || length) groups[groups.length - 1].repeats = true;
+        if (length) repetitions++;
+        i += length;
+        continue;
+      }
+      // An atom: an escape, a character class or a single character
+      if (char === '\\') {
+        i++;
+      } else if (char === '[') {
+        while (i + 1 < source.length && source[i + 1] !== ']') i += source[i + 1] === '\\' ? 2 : 1;
+        i++;
+      }
+      const length = quantifierLength(source, i + 1);
+      if (length) {
+        top.repeats = true;
+        repetitions++;
+        i += length;
+      }
+    }
+    return { nested: false, repetitions };
+  }
+
+  // Throws when the pattern cannot be compiled or is too costly to test
+  function compilePattern(pattern) {
+    const type = getPatternType(pattern);
+    if (pattern.length > MAX_PATTERN_LENGTH) throw new Error(`at most ${MAX_PATTERN_LENGTH} characters`);
+    if (type === 'regex') {
+      const [, source, flags] = pattern.match(REGEX_PATTERN);
+      const { nested, repetitions } = analyseRegex(source);
+      if (nested) throw new Error('a repeated group may not contain a quantifier or "|"');
+      if (repetitions > MAX_REPETITIONS) throw new Error(`at most ${MAX_REPETITIONS} repetitions`);
+      return new RegExp(source, flags.includes('i') ? flags : `${flags}i`);
+    }
+    if (type === 'glob') {
+      if (pattern.split('*').length - 1 > MAX_REPETITIONS) throw new Error(`at most ${MAX_REPETITIONS} "*"`);
+      const source = pattern.split('').map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return escapeRegExp(char);
+      }).join('');
+      return new RegExp(`^${source}$`, 'i');
+    }
+    return new RegExp(`(^|[^a-z0-9])${escapeRegExp(pattern)}([^a-z0-9]|$)`, 'i');
+  }
+
+  function getBaseName(fileName) {
+    return String(fileName).replace(/\.conf$/i, '');
+  }
+
+  // 0 when the pattern does not match. Higher scores are more specific:
+  // an exact name beats a glob or regex, which beats a plain keyword; among
+  // plain keywords the longest wins ("us-newyork" before "us").
+  function scorePattern(pattern, fileName) {
+    const baseName = getBaseName(fileName);
+    let regex;
+    try {
+      regex = compilePattern(pattern);
+    } catch {
+      return 0;
+    }
+    if (getPatternType(pattern) !== 'keyword' && baseName.length > MAX_NAME_LENGTH) return 0;
+    if (!regex.test(baseName)) return 0;
+    if (baseName.toLowerCase() === pattern.toLowerCase()) return 2000 + pattern.length;
+    if (getPatternType(pattern) !== 'keyword') return 1000 + pattern.length;
+    return pattern.length;
+  }
+
+  // `locations` is either the locations.json object or an array of entries
+  // with a countryCode. Returns the best matching entry (with countryCode) or null.
+  function findLocation(fileName, locations) {
+    const entries = Array.isArray(locations)
+      ? locations
+      : Object.entries(locations || {}).map(([countryCode, entry]) => ({ countryCode, ...entry }));
+
+    let best = null;
+    let bestScore = 0;
+    for (const entry of entries) {
+      for (const pattern of entry.keywords || []) {
+        const score = scorePattern(pattern, fileName);
+        if (score > bestScore) {
+          best = entry;
+          bestScore = score;
+        }
+      }
+    }
+    return best;
+  }
+
+  // { countryCode: [fileName, ...] } and the files matching no location.
+  // Each file belongs to exactly one location.
+  function groupFiles(fileNames, locations) {
+    const byLocation = {};
+    const unmatched = [];
+    for (const fileName of [...fileNames].sort()) {
+      const location = findLocation(fileName, locations);
+      if (!location) {
+        unmatched.push(fileName);
+        continue;
+      }
+      (byLocation[location.countryCode] = byLocation[location.countryCode] || []).push(fileName);
+    }
+    return { byLocation, unmatched };
+  }
+
+  // The last plain keyword is shown as the city
+  function getDisplayCity(location) {
+    const keywords = (location.keywords || []).filter(pattern => getPatternType(pattern) === 'keyword');
+    const city = keywords.length > 1 ? keywords[keywords.length - 1] : null;
+    return city ? city.charAt(0).toUpperCase() + city.slice(1) : null;
+  }
+
+  return {
+    getPatternType,
+    compilePattern,
+    findLocation,
+    groupFiles,
+    getDisplayCity
+  };
+});
@@ -0,0 +1,146 @@
+const fs = require('fs').promises;
+const path = require('path');
+const wireguardService = require('../wireguard/wireguard.service');
+const locationMatcher = require('./location-matcher');
+
+const LOCATIONS_PATH = path.join(__dirname, '..', 'config', 'locations.json');
+const DEV_LOCATIONS_PATH = path.join(__dirname, '..', 'locations.local.json');
+const FLAGS_DIR = path.join(__dirname, '..', 'config', 'flags');
+
+// locations.local.json overrides the shipped file in development
+async function getLocationsPath() {
+  if (process.env.NODE_ENV === 'development') {
+    try {
+      await fs.access(DEV_LOCATIONS_PATH);
+      return DEV_LOCATIONS_PATH;
+    } catch {
+      // Fall back to config/locations.json
+    }
+  }
+  return LOCATIONS_PATH;
+}
+
+// { "fr": { countryNameKey, keywords, flag? }, ... }
+async function loadLocations() {
+  return JSON.parse(await fs.readFile(await getLocationsPath(), 'utf8'));
+}
+
+async function saveLocations(locations) {
+  await fs.writeFile(await getLocationsPath(), JSON.stringify(locations, null, 4));
+}
+
+// Codes of the flag images shipped in config/flags
+async function listFlags() {
+  try {
+    const files = await fs.readdir(FLAGS_DIR);
+    return files.filter(file => file.endsWith('.svg')).map(file => file.slice(0, -'.svg'.length)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Throws on invalid input, returns [countryCode, entry]
+async function validateLocation(input) {
+  const countryCode = String(input.countryCode || '').trim().toLowerCase();
+  if (!/^[a-z]{2}$/.test(countryCode)) throw new Error('Country code must be two letters (e.g. "fr")');
+
+  const countryNameKey = String(input.countryNameKey || '').trim();
+  if (!/^[A-Za-z0-9_-]+$/.test(countryNameKey)) {
+    throw new Error('Name key is required and may only contain letters, digits, "-" and "_"');
+  }
+
+  const rawKeywords = Array.isArray(input.keywords) ? input.keywords : String(input.keywords || '').split(',');
+  const keywords = rawKeywords.map(keyword => String(keyword).trim()).filter(Boolean)
+    .map(keyword => locationMatcher.getPatternType(keyword) === 'regex' ? keyword : keyword.toLowerCase());
+  if (keywords.length === 0) throw new Error('At least one keyword is required');
+  keywords.forEach(validatePattern);
+  if (new Set(keywords).size !== keywords.length) throw new Error('Keywords must be unique');
+
+  const entry = { countryNameKey, keywords };
+  const flag = String(input.flag || '').trim().toLowerCase();
+  if (flag && flag !== countryCode) {
+    if (!(await listFlags()).includes(flag)) throw new Error(`No flag image named "${flag}" in config/flags`);
+    entry.flag = flag;
+  }
+  return [countryCode, entry];
+}
+
+function validatePattern(pattern) {
+  const type = locationMatcher.getPatternType(pattern);
+  if (type === 'glob' && !/^[a-z0-9._*?-]+$/.test(pattern)) {
+    throw new Error(`Pattern "${pattern}" may only contain letters, digits, ".", "-", "_", "*" and "?"`);
+  } else if (type === 'keyword' && !/^[a-z0-9._-]+$/.test(pattern)) {
+    throw new Error(`Keyword "${pattern}" may only contain letters, digits, ".", "-" and "_" (or be a /regex/)`);
+  }
+  try {
+    locationMatcher.compilePattern(pattern);
+  } catch (error) {
+    throw new Error(`Invalid pattern ${pattern}: ${error.message}`);
+  }
+}
+
+async function listConfigFilesOrEmpty() {
+  try {
+    return await wireguardService.listConfigFiles();
+  } catch (error) {
+    console.log(`[LOCATIONS] Could not list WireGuard files: ${error.message}`);
+    return [];
+  }
+}
+
+// Every entry with the files it matches, plus the files matching no entry
+async function getLocationsWithFiles() {
+  const [locations, files] = await Promise.all([loadLocations(), listConfigFilesOrEmpty()]);
+  const { byLocation, unmatched } = locationMatcher.groupFiles(files, locations);
+  const entries = Object.entries(locations).map(([countryCode, entry]) => ({
+    countryCode,
+    ...entry,
+    files: byLocation[countryCode] || []
+  }));
+  return { locations: entries, unmatchedFiles: unmatched };
+}
+
+async function getOverview() {
+  return { ...await getLocationsWithFiles(), flags: await listFlags() };
+}
+
+async function createLocation(input) {
+  const locations = await loadLocations();
+  const [countryCode, entry] = await validateLocation(input);
+  if (locations[countryCode]) throw new Error(`A location already exists for "${countryCode}"`);
+  locations[countryCode] = entry;
+  await saveLocations(locations);
+  return { countryCode, ...entry };
+}
+
+// The country code may be changed; the entry keeps its position in the file
+async function updateLocation(code, input) {
+  const locations = await loadLocations();
+  if (!locations[code]) return null;
+  const [countryCode, entry] = await validateLocation({ countryCode: code, ...input });
+  if (countryCode !== code && locations[countryCode]) {
+    throw new Error(`A location already exists for "${countryCode}"`);
+  }
+  const updated = Object.fromEntries(Object.entries(locations).map(([key, value]) =>
+    key === code ? [countryCode, entry] : [key, value]));
+  await saveLocations(updated);
+  return { countryCode, ...entry };
+}
+
+async function deleteLocation(code) {
+  const locations = await loadLocations();
+  if (!locations[code]) return false;
+  delete locations[code];
+  await saveLocations(locations);
+  return true;
+}
+
+module.exports = {
+  loadLocations,
+  getLocationsWithFiles,
+  getOverview,
+  createLocation,
+  updateLocation,
+  deleteLocation
+};
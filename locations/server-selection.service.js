@@ -0,0 +1,163 @@
+const fs = require('fs').promises;
+const path = require('path');
+const activationService = require('../activation/activation.service');
+const locationsService = require('./locations.service');
+const probeService = require('../probe/probe.service');
+
+const SELECTION_PATH = path.join(__dirname, '..', 'config', 'server-selection.json');
+const STRATEGIES = ['random', 'round-robin', 'latency'];
+
+// {
+//   rotation: { "<countryCode>": "<last picked file>" },
+//   servers: { "<file>": { lastFailureAt, lastError, lastSuccessAt, latencyMs, measuredAt } }
+// }
+async function loadState() {
+  try {
+    const state = JSON.parse(await fs.readFile(SELECTION_PATH, 'utf8'));
+    return { rotation: state.rotation || {}, servers: state.servers || {} };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { rotation: {}, servers: {} };
+    throw error;
+  }
+}
+
+async function saveState(state) {
+  await fs.writeFile(SELECTION_PATH, JSON.stringify(state, null, 2));
+}
+
+// Serialized so concurrent event handlers do not overwrite each other
+let pendingUpdate = Promise.resolve();
+function updateState(update) {
+  pendingUpdate = pendingUpdate
+    .then(async () => {
+      const state = await loadState();
+      update(state);
+      await saveState(state);
+    })
+    .catch(error => console.error('[SELECTION] Could not save server state:', error.message));
+  return pendingUpdate;
+}
+
+function updateServer(fileName, changes) {
+  return updateState(state => {
+    state.servers[fileName] = { ...state.servers[fileName], ...changes };
+  });
+}
+
+function getDefaultStrategy() {
+  const strategy = process.env.LOCATION_STRATEGY || 'random';
+  return STRATEGIES.includes(strategy) ? strategy : 'random';
+}
+
+function getFailureCooldownMs() {
+  return parseInt(process.env.SERVER_FAILURE_COOLDOWN || '1800', 10) * 1000;
+}
+
+function hasRecentlyFailed(server) {
+  return !!(server && server.lastFailureAt && Date.now() - Date.parse(server.lastFailureAt) < getFailureCooldownMs());
+}
+
+// Sort key of a server for the latency strategy: [tier, milliseconds].
+// A probe round trip (milliseconds) and a time to connect (tens of seconds)
+// are not comparable, so servers with a probe result come first, ranked by
+// it, then servers ranked by their last time to connect, then the rest.
+function getLatencyRank(fileName, server) {
+  const probe = probeService.getResult(fileName);
+  if (probe && probe.status === 'up' && typeof probe.latencyMs === 'number') return [0, probe.latencyMs];
+  if (server && typeof server.latencyMs === 'number') return [1, server.latencyMs];
+  return [2, 0];
+}
+
+// Servers whose endpoint did not answer the last probe count as failed
+function isProbeDown(fileName) {
+  const probe = probeService.getResult(fileName);
+  return !!probe && probe.status === 'down';
+}
+
+function pickByStrategy(strategy, candidates, state, countryCode) {
+  if (strategy === 'round-robin') {
+    // The file following the previous pick, in name order
+    const previous = state.rotation[countryCode];
+    return candidates.find(file => !previous || file > previous) || candidates[0];
+  }
+  if (strategy === 'latency') {
+    // Unmeasured servers come last, so they are only tried when nothing else is known
+    const ranked = [...candidates].sort((a, b) => {
+      const [tierA, latencyA] = getLatencyRank(a, state.servers[a]);
+      const [tierB, latencyB] = getLatencyRank(b, state.servers[b]);
+      return tierA - tierB || latencyA - latencyB;
+    });
+    return ranked[0];
+  }
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+// Resolve a location to one of its configuration files. Recently failed or
+// unreachable servers and the active one are skipped unless nothing else is left.
+// Returns null when the location does not exist.
+async function pickServer(countryCode, strategy = getDefaultStrategy()) {
+  if (!STRATEGIES.includes(strategy)) throw new Error(`Strategy must be one of: ${STRATEGIES.join(', ')}`);
+
+  const { locations } = await locationsService.getLocationsWithFiles();
+  const location = locations.find(entry => entry.countryCode === countryCode);
+  if (!location) return null;
+  if (location.files.length === 0) throw new Error(`No configuration file matches the location "${countryCode}"`);
+
+  const state = await loadState();
+  const activeName = await activationService.getActiveConfigName();
+  const healthy = location.files.filter(file => !hasRecentlyFailed(state.servers[file]) && !isProbeDown(file));
+  const skipped = location.files.filter(file => !healthy.includes(file));
+  let candidates = healthy.length > 0 ? healthy : location.files;
+  if (candidates.length > 1) candidates = candidates.filter(file => file !== activeName);
+
+  const fileName = pickByStrategy(strategy, candidates, state, countryCode);
+  await updateState(current => {
+    current.rotation[countryCode] = fileName;
+  });
+  return { countryCode, strategy, fileName, candidates, skipped };
+}
+
+// Activate the server returned by pickServer; the strategy and the skipped
+// servers are kept as the reason in history
+async function activatePick(pick, actor) {
+  const { countryCode } = pick;
+  console.log(`[SELECTION] Location ${countryCode}: picked ${pick.fileName} (${pick.strategy})`);
+  const skippedText = pick.skipped.length > 0 ? `, skipped as failed or unreachable: ${pick.skipped.join(', ')}` : '';
+  return activationService.activate(pick.fileName, {
+    actor,
+    trigger: 'location',
+    location: countryCode,
+    reason: `${pick.strategy}${skippedText}`
+  });
+}
+
+async function getServerStates() {
+  return (await loadState()).servers;
+}
+
+// Failures and latencies are recorded for every activation, including
+// manual, scheduled and failover ones
+activationService.events.on('finished', result => {
+  if (result.outcome === 'committed') {
+    updateServer(result.sourceName, { lastSuccessAt: new Date().toISOString() });
+  } else {
+    updateServer(result.sourceName, { lastFailureAt: new Date().toISOString(), lastError: result.error });
+  }
+});
+
+activationService.events.on('verified', record => {
+  const { verification } = record;
+  if (verification.status === 'success' && typeof verification.timeToConnectMs === 'number') {
+    updateServer(record.sourceName, { latencyMs: verification.timeToConnectMs, measuredAt: verification.finishedAt });
+  } else if (verification.status === 'timeout') {
+    updateServer(record.sourceName, { lastFailureAt: verification.finishedAt, lastError: 'Public IP did not change' });
+  }
+});
+
+module.exports = {
+  STRATEGIES,
+  getDefaultStrategy,
+  pickServer,
+  activatePick,
+  getServerStates
+};
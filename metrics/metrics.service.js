@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const activationService = require('../activation/activation.service');
+
+// Seconds between an activation and the new public IP
+const IP_CHANGE_BUCKETS = [1, 2, 5, 10, 15, 30, 60, 90, 120];
+
+// Counters live in memory and restart from zero with the process, as
+// Prometheus expects
+const activations = {}; // "<config>\n<outcome>" -> count
+const restartFailures = {}; // container -> count
+const logins = { failures: 0, lockouts: 0 };
+const ipChange = { buckets: IP_CHANGE_BUCKETS.map(() => 0), sum: 0, count: 0 };
+
+function increment(counters, key) {
+  counters[key] = (counters[key] || 0) + 1;
+}
+
+function countLoginFailure({ lockedOut = false } = {}) {
+  logins.failures++;
+  if (lockedOut) logins.lockouts++;
+}
+
+activationService.events.on('progress', progress => {
+  if (progress.step === 'finished') {
+    increment(activations, `${progress.sourceName}\n${progress.outcome || 'error'}`);
+  } else if (progress.step === 'restart' && progress.status === 'error') {
+    increment(restartFailures, progress.containerName);
+  }
+});
+
+activationService.events.on('verified', record => {
+  const { verification } = record;
+  if (verification.status !== 'success' || typeof verification.timeToConnectMs !== 'number') return;
+  const seconds = verification.timeToConnectMs / 1000;
+  IP_CHANGE_BUCKETS.forEach((bucket, i) => {
+    if (seconds <= bucket) ipChange.buckets[i]++;
+  });
+  ipChange.sum += seconds;
+  ipChange.count++;
+});
+
+// METRICS_TOKEN, when set, must be sent as "Authorization: Bearer <token>"
+function isAuthorized(authorization) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return true;
+  const match = /^Bearer (.+)$/.exec(authorization || '');
+  if (!match) return false;
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  return crypto.timingSafeEqual(expected, given);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function metric(lines, name, type, help, samples) {
+  lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+  samples.forEach(([labels, value, suffix = '']) => lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`));
+}
+
+// Prometheus text exposition format
+async function render() {
+  const lines = [];
+  metric(lines, 'gluetun_switcher_activations_total', 'counter',
+    'Activations by configuration and outcome (committed, rolled_back, rollback_failed, error).',
+    Object.entries(activations).map(([key, value]) => {
+      const [config, outcome] = key.split('\n');
+      return [{ config, outcome }, value];
+    }));
+  metric(lines, 'gluetun_switcher_container_restart_failures_total', 'counter',
+    'Container restarts that failed, by container.',
+    Object.entries(restartFailures).map(([container, value]) => [{ container }, value]));
+  metric(lines, 'gluetun_switcher_login_failures_total', 'counter', 'Failed login attempts.', [[{}, logins.failures]]);
+  metric(lines, 'gluetun_switcher_lockouts_total', 'counter', 'Accounts locked after too many failed logins.', [[{}, logins.lockouts]]);
+
+  let activeName = null;
+  try {
+    activeName = await activationService.getActiveConfigName();
+  } catch (error) {
+    console.error('[METRICS] Could not read the active configuration:', error.message);
+  }
+  metric(lines, 'gluetun_switcher_active_config', 'gauge',
+    'Currently active configuration (always 1, the configuration is in the label).',
+    activeName ? [[{ config: activeName }, 1]] : []);
+  metric(lines, 'gluetun_switcher_activation_in_progress', 'gauge', '1 while an activation is running.',
+    [[{}, activationService.isActivationInProgress() ? 1 : 0]]);
+
+  metric(lines, 'gluetun_switcher_public_ip_change_seconds', 'histogram',
+    'Time between an activation and the new public IP.', [
+      ...IP_CHANGE_BUCKETS.map((bucket, i) => [{ le: bucket }, ipChange.buckets[i], '_bucket']),
+      [{ le: '+Inf' }, ipChange.count, '_bucket'],
+      [{}, ipChange.sum, '_sum'],
+      [{}, ipChange.count, '_count']
+    ]);
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  countLoginFailure,
+  isAuthorized,
+  render
+};
@@ -0,0 +1,242 @@
+const mqtt = require('mqtt');
+const packageJson = require('../package.json');
+const activationService = require('../activation/activation.service');
+const gluetunService = require('../gluetun/gluetun.service');
+const historyService = require('../history/history.service');
+const locationsService = require('../locations/locations.service');
+const locationMatcher = require('../locations/location-matcher');
+const wireguardService = require('../wireguard/wireguard.service');
+
+const DEVICE_ID = 'gluetun_switcher';
+
+let client = null;
+let timer = null;
+let lastSwitch = null;
+let discoveredConfigs = null; // Configuration list of the last discovery payloads
+
+function getSettings() {
+  const topicPrefix = (process.env.MQTT_TOPIC_PREFIX || 'gluetun-switcher').replace(/\/+$/, '');
+  return {
+    url: process.env.MQTT_URL || '',
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    topicPrefix,
+    discoveryPrefix: (process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant').replace(/\/+$/, ''),
+    stateIntervalSeconds: parseInt(process.env.MQTT_STATE_INTERVAL || '60', 10),
+    topics: {
+      availability: `${topicPrefix}/availability`,
+      state: `${topicPrefix}/state`,
+      command: `${topicPrefix}/activate`,
+      result: `${topicPrefix}/activate/result`
+    }
+  };
+}
+
+// Result of the last activation attempt, from history until one happens
+async function getLastSwitch() {
+  if (lastSwitch) return lastSwitch;
+  try {
+    const { entries } = await historyService.queryHistory({ type: 'activation,rollback,failure', pageSize: 1 });
+    if (entries.length > 0) {
+      const [entry] = entries;
+      lastSwitch = { outcome: entry.outcome, type: entry.type, config: entry.to || null, at: entry.timestamp, error: entry.error || null };
+    }
+  } catch (error) {
+    console.error('[MQTT] Could not read history:', error.message);
+  }
+  return lastSwitch;
+}
+
+async function buildState() {
+  const activeConfig = await activationService.getActiveConfigName();
+  let location = null;
+  try {
+    location = activeConfig ? locationMatcher.findLocation(activeConfig, await locationsService.loadLocations()) : null;
+  } catch (error) {
+    console.error('[MQTT] Could not load locations:', error.message);
+  }
+  let publicIp = null;
+  try {
+    publicIp = await gluetunService.getPublicIpInfo();
+  } catch (error) {
+    // The control server is unreachable while Gluetun restarts
+  }
+  const last = await getLastSwitch();
+  return {
+    activeConfig,
+    location: location ? location.countryCode : null,
+    publicIp: publicIp ? publicIp.ip : null,
+    country: publicIp ? publicIp.country : null,
+    city: publicIp ? publicIp.city : null,
+    activationInProgress: activationService.isActivationInProgress(),
+    lastSwitch: last ? last.outcome : null,
+    lastSwitchAt: last ? last.at : null,
+    lastSwitchConfig: last ? last.config : null,
+    lastSwitchError: last ? last.error : null
+  };
+}
+
+async function listConfigFilesOrEmpty() {
+  try {
+    return await wireguardService.listConfigFiles();
+  } catch (error) {
+    return [];
+  }
+}
+
+// Home Assistant MQTT discovery: a select to pick the configuration and
+// sensors for the public IP, country, location and last switch.
+// https://www.home-assistant.io/integrations/mqtt/#mqtt-discovery
+async function publishDiscovery(settings, configs) {
+  const device = {
+    identifiers: [DEVICE_ID],
+    name: 'Gluetun Switcher',
+    manufacturer: 'gluetun-switcher',
+    sw_version: packageJson.version
+  };
+  const common = {
+    availability_topic: settings.topics.availability,
+    state_topic: settings.topics.state,
+    device
+  };
+  const entities = [
+    ['select', 'config', {
+      name: 'Configuration',
+      icon: 'mdi:vpn',
+      value_template: '{{ value_json.activeConfig }}',
+      command_topic: settings.topics.command,
+      options: configs
+    }],
+    ['sensor', 'public_ip', { name: 'Public IP', icon: 'mdi:ip-network', value_template: '{{ value_json.publicIp }}' }],
+    ['sensor', 'country', { name: 'Country', icon: 'mdi:earth', value_template: '{{ value_json.country }}' }],
+    ['sensor', 'location', { name: 'Location', icon: 'mdi:map-marker', value_template: '{{ value_json.location }}' }],
+    ['sensor', 'last_switch', {
+      name: 'Last switch',
+      icon: 'mdi:swap-horizontal',
+      value_template: '{{ value_json.lastSwitch }}',
+      json_attributes_topic: settings.topics.state,
+      json_attributes_template: '{{ {"at": value_json.lastSwitchAt, "config": value_json.lastSwitchConfig, "error": value_json.lastSwitchError} | tojson }}'
+    }]
+  ];
+
+  await Promise.all(entities.map(([component, objectId, config]) => client.publishAsync(
+    `${settings.discoveryPrefix}/${component}/${DEVICE_ID}/${objectId}/config`,
+    JSON.stringify({ ...common, unique_id: `${DEVICE_ID}_${objectId}`, object_id: `${DEVICE_ID}_${objectId}`, ...config }),
+    { retain: true }
+  )));
+  discoveredConfigs = JSON.stringify(configs);
+}
+
+// The discovery payloads are published again when configuration files are
+// added or removed, so the select lists them
+async function publishState() {
+  if (!client || !client.connected) return;
+  const settings = getSettings();
+  try {
+    const configs = await listConfigFilesOrEmpty();
+    if (JSON.stringify(configs) !== discoveredConfigs) await publishDiscovery(settings, configs);
+    await client.publishAsync(settings.topics.state, JSON.stringify(await buildState()), { retain: true });
+  } catch (error) {
+    console.error('[MQTT] Could not publish state:', error.message);
+  }
+}
+
+// Tells the sender what became of its command, on <prefix>/activate/result:
+// { fileName, outcome: "success"|"error"|"rejected", error, at }
+async function publishResult(fileName, outcome, error = null) {
+  if (!client || !client.connected) return;
+  const result = { fileName, outcome, error, at: new Date().toISOString() };
+  try {
+    await client.publishAsync(getSettings().topics.result, JSON.stringify(result));
+  } catch (publishError) {
+    console.error('[MQTT] Could not publish the command result:', publishError.message);
+  }
+}
+
+// Same checks as POST /api/activate-config. The payload is a file name or
+// {"fileName": "..."}.
+async function handleCommand(payload) {
+  let fileName = payload.toString().trim();
+  try {
+    const parsed = JSON.parse(fileName);
+    if (parsed && typeof parsed.fileName === 'string') fileName = parsed.fileName;
+  } catch {
+    // Plain file name
+  }
+  console.log(`[MQTT] Received request to activate: ${fileName}`);
+  try {
+    await wireguardService.resolveConfigPath(fileName);
+  } catch (error) {
+    console.error(`[MQTT] Could not activate ${fileName}: ${error.message}`);
+    return publishResult(fileName, 'rejected', error.message);
+  }
+  try {
+    const result = await activationService.activate(fileName, { actor: 'mqtt', trigger: 'mqtt' });
+    if (result.outcome !== 'committed') {
+      console.error(`[MQTT] Activation of ${fileName} failed: ${result.error}`);
+      return publishResult(fileName, 'error', result.error);
+    }
+    await publishResult(fileName, 'success');
+  } catch (error) {
+    // Refused before starting, e.g. while another activation runs
+    console.error(`[MQTT] Could not activate ${fileName}: ${error.message}`);
+    await publishResult(fileName, 'rejected', error.message);
+  }
+}
+
+activationService.events.on('finished', result => {
+  lastSwitch = {
+    outcome: result.outcome === 'committed' ? 'success' : 'error',
+    type: result.outcome === 'committed' ? 'activation' : 'rollback',
+    config: result.sourceName,
+    at: new Date().toISOString(),
+    error: result.error || null
+  };
+  publishState();
+});
+
+// The public IP is only known once the switch is verified
+activationService.events.on('verified', () => publishState());
+
+// Disabled unless MQTT_URL is set
+function start() {
+  const settings = getSettings();
+  if (client || !settings.url) return;
+
+  client = mqtt.connect(settings.url, {
+    username: settings.username,
+    password: settings.password,
+    clientId: process.env.MQTT_CLIENT_ID || `gluetun-switcher-${Math.random().toString(16).slice(2, 10)}`,
+    will: { topic: settings.topics.availability, payload: 'offline', retain: true }
+  });
+
+  client.on('connect', async () => {
+    console.log(`[MQTT] Connected to ${settings.url}`);
+    // The broker may have lost the retained discovery payloads
+    discoveredConfigs = null;
+    try {
+      await client.subscribeAsync(settings.topics.command);
+      await client.publishAsync(settings.topics.availability, 'online', { retain: true });
+    } catch (error) {
+      console.error('[MQTT] Could not subscribe:', error.message);
+    }
+    publishState();
+    if (!timer && settings.stateIntervalSeconds > 0) {
+      timer = setInterval(publishState, settings.stateIntervalSeconds * 1000);
+    }
+  });
+  // No state to publish until the client reconnects
+  client.on('close', () => {
+    clearInterval(timer);
+    timer = null;
+  });
+  client.on('message', (topic, payload) => {
+    if (topic === settings.topics.command) handleCommand(payload);
+  });
+  client.on('error', error => console.error('[MQTT] Error:', error.message));
+}
+
+module.exports = {
+  getSettings,
+  start
+};
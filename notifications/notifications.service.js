@@ -0,0 +1,370 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const historyService = require('../history/history.service');
+
+const NOTIFICATIONS_PATH = path.join(__dirname, '..', 'config', 'security', 'notifications.json');
+const LEGACY_NOTIFICATIONS_PATH = path.join(__dirname, '..', 'config', 'notifications.json');
+const EVENTS = ['activation_success', 'activation_failure', 'rollback', 'lockout'];
+const TYPES = ['webhook', 'ntfy', 'gotify', 'smtp'];
+const SECRET_FIELDS = ['token', 'password'];
+const SECRET_MASK = '********';
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRY_DELAY_MS = 2000; // Doubled after each failed attempt
+
+// Result of the last delivery per target id, kept in memory
+const deliveries = {};
+
+// config/security/notifications.json: { targets: [{ id, name, type, enabled, events, retries, ...settings }] }
+// Settings per type:
+// - webhook: url, method, headers, bodyTemplate
+// - ntfy: server, topic, token, priority
+// - gotify: url, token, priority
+// - smtp: host, port, secure, username, password, from, to
+async function loadTargets() {
+  try {
+    return JSON.parse(await fs.readFile(NOTIFICATIONS_PATH, 'utf8')).targets || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  // Moved next to the other secrets from config/notifications.json
+  try {
+    await fs.rename(LEGACY_NOTIFICATIONS_PATH, NOTIFICATIONS_PATH);
+    await fs.chmod(NOTIFICATIONS_PATH, 0o600);
+    console.log('[NOTIFY] Moved config/notifications.json to config/security/notifications.json');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return loadTargets();
+}
+
+// The file holds tokens and passwords
+async function saveTargets(targets) {
+  await fs.writeFile(NOTIFICATIONS_PATH, JSON.stringify({ targets }, null, 2), { mode: 0o600 });
+}
+
+// Secrets are never sent back to the browser, nor webhook header values
+// (Authorization and the like)
+function toPublicTarget(target) {
+  const masked = { ...target, lastDelivery: deliveries[target.id] || null };
+  SECRET_FIELDS.forEach(field => {
+    if (masked[field]) masked[field] = SECRET_MASK;
+  });
+  if (masked.headers) {
+    masked.headers = Object.fromEntries(Object.keys(masked.headers).map(name => [name, SECRET_MASK]));
+  }
+  return masked;
+}
+
+function requireString(value, label) {
+  const text = String(value ?? '').trim();
+  if (!text) throw new Error(`${label} is required`);
+  return text;
+}
+
+function requireUrl(value, label) {
+  const text = requireString(value, label);
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    throw new Error(`${label} must be a valid URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`${label} must be an http(s) URL`);
+  return text.replace(/\/+$/, '');
+}
+
+function toInteger(value, fallback, min, max, label) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`${label} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseHeaders(value) {
+  if (!value) return {};
+  const headers = typeof value === 'string' ? JSON.parse(value) : value;
+  if (typeof headers !== 'object' || Array.isArray(headers)
+    || Object.values(headers).some(header => typeof header !== 'string')) {
+    throw new Error('Headers must be a JSON object of strings');
+  }
+  return headers;
+}
+
+// Throws on invalid input. Masked secrets keep the value of `existing`.
+function validateTarget(input, existing = {}) {
+  const type = String(input.type || '');
+  if (!TYPES.includes(type)) throw new Error(`Type must be one of: ${TYPES.join(', ')}`);
+  const events = Array.isArray(input.events) ? input.events.filter(event => EVENTS.includes(event)) : [...EVENTS];
+  if (events.length === 0) throw new Error('Select at least one event');
+
+  const secret = field => (input[field] === SECRET_MASK ? existing[field] : input[field]) || '';
+  const target = {
+    id: existing.id || crypto.randomUUID(),
+    name: requireString(input.name, 'Name'),
+    type,
+    enabled: input.enabled !== false,
+    events,
+    retries: toInteger(input.retries, 3, 0, 10, 'Retries')
+  };
+
+  if (type === 'webhook') {
+    const method = String(input.method || 'POST').toUpperCase();
+    if (!['POST', 'PUT'].includes(method)) throw new Error('Method must be POST or PUT');
+    let headers;
+    try {
+      headers = parseHeaders(input.headers);
+    } catch (error) {
+      throw new Error(error instanceof SyntaxError ? 'Headers must be valid JSON' : error.message);
+    }
+    Object.keys(headers).forEach(name => {
+      if (headers[name] !== SECRET_MASK) return;
+      const stored = existing.headers && existing.headers[name];
+      if (stored === undefined) throw new Error(`Enter the value of the "${name}" header`);
+      headers[name] = stored;
+    });
+    const bodyTemplate = String(input.bodyTemplate || '').trim();
+    if (bodyTemplate) {
+      try {
+        JSON.parse(renderTemplate(bodyTemplate, buildTestNotification()));
+      } catch {
+        throw new Error('The body template must produce valid JSON');
+      }
+    }
+    return { ...target, url: requireUrl(input.url, 'URL'), method, headers, bodyTemplate };
+  }
+  if (type === 'ntfy') {
+    const topic = requireString(input.topic, 'Topic');
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(topic)) throw new Error('Topic may only contain letters, digits, "-" and "_"');
+    return {
+      ...target,
+      server: requireUrl(input.server || 'https://ntfy.sh', 'Server'),
+      topic,
+      token: secret('token'),
+      priority: toInteger(input.priority, 3, 1, 5, 'Priority')
+    };
+  }
+  if (type === 'gotify') {
+    return {
+      ...target,
+      url: requireUrl(input.url, 'URL'),
+      token: requireString(secret('token'), 'Application token'),
+      priority: toInteger(input.priority, 5, 0, 10, 'Priority')
+    };
+  }
+  const port = toInteger(input.port, 587, 1, 65535, 'Port');
+  return {
+    ...target,
+    host: requireString(input.host, 'SMTP host'),
+    port,
+    secure: input.secure === undefined ? port === 465 : input.secure === true,
+    username: String(input.username || '').trim(),
+    password: secret('password'),
+    from: requireString(input.from, 'Sender'),
+    to: requireString(input.to, 'Recipients')
+  };
+}
+
+async function listTargets() {
+  return (await loadTargets()).map(toPublicTarget);
+}
+
+async function createTarget(input) {
+  const targets = await loadTargets();
+  const target = validateTarget(input);
+  targets.push(target);
+  await saveTargets(targets);
+  return toPublicTarget(target);
+}
+
+async function updateTarget(id, input) {
+  const targets = await loadTargets();
+  const index = targets.findIndex(target => target.id === id);
+  if (index === -1) return null;
+  targets[index] = validateTarget(input, targets[index]);
+  await saveTargets(targets);
+  return toPublicTarget(targets[index]);
+}
+
+async function deleteTarget(id) {
+  const targets = await loadTargets();
+  const remaining = targets.filter(target => target.id !== id);
+  if (remaining.length === targets.length) return false;
+  await saveTargets(remaining);
+  delete deliveries[id];
+  return true;
+}
+
+// Notification built from a history entry, null for entries nobody is notified of
+function buildNotification(entry) {
+  const events = {
+    activation: 'activation_success',
+    failure: 'activation_failure',
+    rollback: 'rollback'
+  };
+  const event = entry.type === 'login_failed' && entry.lockout ? 'lockout' : events[entry.type];
+  if (!event) return null;
+
+  const titles = {
+    activation_success: `VPN switched to ${entry.to}`,
+    activation_failure: `VPN switch${entry.to ? ` to ${entry.to}` : ''} failed`,
+    rollback: `VPN switch to ${entry.to} rolled back`,
+    lockout: `Account ${entry.actor} locked`
+  };
+  return {
+    event,
+    title: `Gluetun Switcher: ${titles[event]}`,
+    message: entry.message,
+    timestamp: entry.timestamp,
+    actor: entry.actor || '',
+    trigger: entry.trigger || '',
+    from: entry.from || '',
+    to: entry.to || '',
+    location: entry.location || '',
+    oldIp: entry.oldIp || '',
+    ip: entry.ip || '',
+    error: entry.error || ''
+  };
+}
+
+function buildTestNotification() {
+  return {
+    event: 'test',
+    title: 'Gluetun Switcher: test notification',
+    message: 'This is a test notification from Gluetun Switcher.',
+    timestamp: new Date().toISOString(),
+    actor: '',
+    trigger: '',
+    from: '',
+    to: '',
+    location: '',
+    oldIp: '',
+    ip: '',
+    error: ''
+  };
+}
+
+// "{{field}}" placeholders are replaced by the JSON-escaped value, so they
+// can be used inside JSON strings. Without a template the whole notification is sent.
+function renderTemplate(template, notification) {
+  if (!template) return JSON.stringify(notification);
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, field) =>
+    (field in notification ? JSON.stringify(String(notification[field])).slice(1, -1) : placeholder));
+}
+
+// HTTP header values must be plain ASCII
+function toHeaderValue(value) {
+  return String(value).replace(/[^\x20-\x7e]/g, '?');
+}
+
+async function send(url, options) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`${new URL(url).host} responded with status ${response.status}`);
+}
+
+const NTFY_TAGS = {
+  activation_success: 'white_check_mark',
+  activation_failure: 'x',
+  rollback: 'leftwards_arrow_with_hook',
+  lockout: 'lock',
+  test: 'bell'
+};
+
+const senders = {
+  webhook: (target, notification) => send(target.url, {
+    method: target.method,
+    headers: { 'Content-Type': 'application/json', ...target.headers },
+    body: renderTemplate(target.bodyTemplate, notification)
+  }),
+  ntfy: (target, notification) => send(`${target.server}/${target.topic}`, {
+    method: 'POST',
+    headers: {
+      Title: toHeaderValue(notification.title),
+      Priority: String(target.priority),
+      Tags: NTFY_TAGS[notification.event],
+      ...(target.token ? { Authorization: `Bearer ${target.token}` } : {})
+    },
+    body: notification.message
+  }),
+  gotify: (target, notification) => send(`${target.url}/message`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': target.token },
+    body: JSON.stringify({ title: notification.title, message: notification.message, priority: target.priority })
+  }),
+  smtp: async (target, notification) => {
+    const transport = nodemailer.createTransport({
+      host: target.host,
+      port: target.port,
+      secure: target.secure,
+      auth: target.username ? { user: target.username, pass: target.password } : undefined,
+      connectionTimeout: REQUEST_TIMEOUT_MS,
+      greetingTimeout: REQUEST_TIMEOUT_MS,
+      socketTimeout: REQUEST_TIMEOUT_MS
+    });
+    const details = ['actor', 'trigger', 'from', 'to', 'location', 'oldIp', 'ip', 'error']
+      .filter(field => notification[field])
+      .map(field => `${field}: ${notification[field]}`);
+    await transport.sendMail({
+      from: target.from,
+      to: target.to,
+      subject: notification.title,
+      text: [notification.message, '', ...details, '', notification.timestamp].join('\n')
+    });
+  }
+};
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function deliver(target, notification, retries = target.retries) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await senders[target.type](target, notification);
+      deliveries[target.id] = { at: new Date().toISOString(), event: notification.event, success: true };
+      return;
+    } catch (error) {
+      if (attempt >= retries) {
+        deliveries[target.id] = { at: new Date().toISOString(), event: notification.event, success: false, error: error.message };
+        throw error;
+      }
+      await delay(RETRY_DELAY_MS * 2 ** attempt);
+    }
+  }
+}
+
+async function notify(notification) {
+  const targets = (await loadTargets())
+    .filter(target => target.enabled && target.events.includes(notification.event));
+  await Promise.all(targets.map(target => deliver(target, notification).catch(error => {
+    console.error(`[NOTIFY] Could not notify "${target.name}" (${target.type}) of ${notification.event}:`, error.message);
+  })));
+}
+
+// Sent once, without retries, so the answer comes quickly. Throws on failure.
+async function sendTest(id) {
+  const target = (await loadTargets()).find(entry => entry.id === id);
+  if (!target) return null;
+  await deliver(target, buildTestNotification(), 0);
+  return toPublicTarget(target);
+}
+
+historyService.events.on('recorded', entry => {
+  const notification = buildNotification(entry);
+  if (!notification) return;
+  notify(notification).catch(error => console.error('[NOTIFY] Could not send notifications:', error.message));
+});
+
+module.exports = {
+  EVENTS,
+  TYPES,
+  listTargets,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+  sendTest
+};
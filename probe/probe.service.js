@@ -0,0 +1,152 @@
+const dgram = require('dgram');
+const dns = require('dns').promises;
+const net = require('net');
+const path = require('path');
+const wireguardService = require('../wireguard/wireguard.service');
+
+const METHODS = ['tcp', 'udp', 'dns'];
+const CONCURRENCY = 4;
+
+// Latest result per configuration file name
+const results = {};
+let timer = null;
+let running = null;
+
+function getSettings() {
+  const method = (process.env.PROBE_METHOD || 'tcp').toLowerCase();
+  return {
+    method: METHODS.includes(method) ? method : 'tcp',
+    intervalSeconds: parseInt(process.env.PROBE_INTERVAL || '300', 10),
+    timeoutMs: parseInt(process.env.PROBE_TIMEOUT || '3000', 10)
+  };
+}
+
+// WireGuard only answers valid handshakes, so a TCP connection to the
+// endpoint port is used as a ping: an accepted or refused connection both
+// prove that the host answered, and give the round-trip time.
+function probeTcp(address, port, timeoutMs) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    const socket = net.connect({ host: address, port });
+    const done = (status, error) => {
+      socket.destroy();
+      resolve({ status, latencyMs: status === 'up' ? Date.now() - startedAt : null, error });
+    };
+    socket.setTimeout(timeoutMs, () => done('down', `No answer within ${timeoutMs} ms`));
+    socket.once('connect', () => done('up'));
+    socket.once('error', error => {
+      if (error.code === 'ECONNREFUSED') done('up');
+      else done('down', error.message);
+    });
+  });
+}
+
+// A datagram to a closed UDP port is answered by an ICMP "port unreachable"
+// error. Silence means the port is open or filtered, reported as "unknown".
+function probeUdp(address, port, timeoutMs) {
+  return new Promise(resolve => {
+    const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+    const timeout = setTimeout(() => done('unknown'), timeoutMs);
+    let finished = false;
+    function done(status, error) {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timeout);
+      socket.close();
+      resolve({ status, latencyMs: null, error });
+    }
+    socket.once('error', error => done(error.code === 'ECONNREFUSED' ? 'down' : 'unknown', error.message));
+    socket.connect(port, address, () => socket.send(Buffer.alloc(1)));
+  });
+}
+
+async function probeEndpoint(host, port, { method, timeoutMs }) {
+  const startedAt = Date.now();
+  let address;
+  try {
+    ({ address } = await dns.lookup(host));
+  } catch (error) {
+    return { status: 'down', address: null, dnsMs: null, latencyMs: null, error: `DNS: ${error.message}` };
+  }
+  const dnsMs = Date.now() - startedAt;
+  if (method === 'dns') return { status: 'up', address, dnsMs, latencyMs: null };
+
+  const probe = method === 'udp'
+    ? await probeUdp(address, port, timeoutMs)
+    : await probeTcp(address, port, timeoutMs);
+  return { address, dnsMs, ...probe };
+}
+
+async function probeFile(fileName, settings) {
+  const checkedAt = new Date().toISOString();
+  try {
+    const filePath = path.join(wireguardService.getWireguardDir(), fileName);
+    const { details } = await wireguardService.inspectConfigFile(filePath);
+    if (!details.endpointHost) {
+      return { fileName, status: 'error', error: 'No endpoint in the configuration', method: settings.method, checkedAt };
+    }
+    const probe = await probeEndpoint(details.endpointHost, details.endpointPort, settings);
+    return { fileName, host: details.endpointHost, port: details.endpointPort, method: settings.method, ...probe, checkedAt };
+  } catch (error) {
+    return { fileName, status: 'error', error: error.message, method: settings.method, checkedAt };
+  }
+}
+
+async function runProbes() {
+  const settings = getSettings();
+  const files = await wireguardService.listConfigFiles();
+  const queue = [...files];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const fileName = queue.shift();
+      results[fileName] = await probeFile(fileName, settings);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, files.length) }, worker));
+
+  // Forget files that were removed
+  Object.keys(results).filter(fileName => !files.includes(fileName)).forEach(fileName => delete results[fileName]);
+  console.log(`[PROBE] Probed ${files.length} endpoint(s) (${settings.method})`);
+  return getResults();
+}
+
+// Concurrent callers share the probe run in progress
+function probeAll() {
+  if (!running) {
+    running = runProbes().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+function getResults() {
+  return { ...results };
+}
+
+function getResult(fileName) {
+  return results[fileName] || null;
+}
+
+function start() {
+  const { intervalSeconds } = getSettings();
+  if (timer || !(intervalSeconds > 0)) return;
+  const scheduleNextProbe = async () => {
+    try {
+      await probeAll();
+    } catch (error) {
+      console.error('[PROBE] Probe error:', error.message);
+    }
+    timer = setTimeout(scheduleNextProbe, intervalSeconds * 1000);
+  };
+  timer = setTimeout(scheduleNextProbe, 0);
+  console.log(`[PROBE] Endpoint prober started (every ${intervalSeconds}s)`);
+}
+
+module.exports = {
+  getSettings,
+  probeAll,
+  getResults,
+  getResult,
+  start
+};
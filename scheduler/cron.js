@@ -0,0 +1,90 @@
+// Minimal 5-field cron expressions: "minute hour day-of-month month day-of-week"
+// Supports "*", "*/n", "a-b", "a-b/n", lists ("1,15,30") and a few @shortcuts.
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} field: "${value}"`);
+
+    const [, range, stepValue] = match;
+    const step = stepValue ? parseInt(stepValue, 10) : 1;
+    let start = min;
+    let end = max;
+    if (range !== '*') {
+      [start, end] = range.split('-').map(n => parseInt(n, 10));
+      if (end === undefined) end = stepValue ? max : start;
+    }
+    if (step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} field: "${value}"`);
+    }
+    for (let i = start; i <= end; i += step) allowed.add(i);
+  }
+
+  return allowed;
+}
+
+function parseCron(expression) {
+  const normalized = SHORTCUTS[String(expression).trim()] || String(expression).trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('A cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either one may match
+    restrictedDays: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+function matches(cron, date) {
+  if (!cron.minutes.has(date.getMinutes())) return false;
+  if (!cron.hours.has(date.getHours())) return false;
+  if (!cron.months.has(date.getMonth() + 1)) return false;
+
+  const dayOfMonth = cron.daysOfMonth.has(date.getDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getDay());
+  return cron.restrictedDays ? (dayOfMonth || dayOfWeek) : (dayOfMonth && dayOfWeek);
+}
+
+// Next matching minute after `from`, or null if none within a year
+function nextRun(cron, from = new Date()) {
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    date.setMinutes(date.getMinutes() + 1);
+    if (matches(cron, date)) return date;
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  matches,
+  nextRun
+};
@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('./cron');
+const activationService = require('../activation/activation.service');
+const wireguardService = require('../wireguard/wireguard.service');
+const historyService = require('../history/history.service');
+
+const SCHEDULES_PATH = path.join(__dirname, '..', 'config', 'schedules.json');
+const MODES = ['sequence', 'random'];
+
+let timer = null;
+// Rules that are due, run one after the other: an activation can take minutes
+const queue = [];
+let runningRuleId = null;
+
+async function loadRules() {
+  try {
+    const data = JSON.parse(await fs.readFile(SCHEDULES_PATH, 'utf8'));
+    return data.rules || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function saveRules(rules) {
+  await fs.writeFile(SCHEDULES_PATH, JSON.stringify({ rules }, null, 2));
+}
+
+// A rule edited by hand with an invalid cron gets `error` instead of a next run
+function withNextRun(rule) {
+  try {
+    const next = rule.enabled ? cron.nextRun(cron.parseCron(rule.cron)) : null;
+    return { ...rule, nextRunAt: next ? next.toISOString() : null };
+  } catch (error) {
+    return { ...rule, nextRunAt: null, error: error.message };
+  }
+}
+
+// Throws on invalid input, returns the editable fields of a rule
+function validateRule(input) {
+  const name = String(input.name || '').trim();
+  if (!name) throw new Error('Schedule name is required');
+
+  const expression = String(input.cron || '').trim();
+  cron.parseCron(expression);
+
+  const mode = input.mode || 'sequence';
+  if (!MODES.includes(mode)) throw new Error(`Mode must be one of: ${MODES.join(', ')}`);
+
+  const configs = Array.isArray(input.configs) ? input.configs.map(String).filter(Boolean) : [];
+  if (mode === 'sequence' && configs.length === 0) {
+    throw new Error('A sequence needs at least one configuration');
+  }
+
+  return { name, cron: expression, mode, configs, enabled: input.enabled !== false };
+}
+
+async function listRules() {
+  return (await loadRules()).map(withNextRun);
+}
+
+async function createRule(input) {
+  const rules = await loadRules();
+  const rule = { id: crypto.randomUUID(), ...validateRule(input), position: 0, lastRunAt: null, lastResult: null };
+  rules.push(rule);
+  await saveRules(rules);
+  return withNextRun(rule);
+}
+
+async function updateRule(id, input) {
+  const rules = await loadRules();
+  const rule = rules.find(r => r.id === id);
+  if (!rule) return null;
+  Object.assign(rule, validateRule({ ...rule, ...input }));
+  await saveRules(rules);
+  return withNextRun(rule);
+}
+
+async function deleteRule(id) {
+  const rules = await loadRules();
+  const remaining = rules.filter(r => r.id !== id);
+  if (remaining.length === rules.length) return false;
+  await saveRules(remaining);
+  return true;
+}
+
+// Choose the configuration to activate and advance the sequence position
+async function pickConfig(rule) {
+  const available = await wireguardService.listConfigFiles();
+
+  if (rule.mode === 'random') {
+    const activeName = await activationService.getActiveConfigName();
+    const pool = (rule.configs.length > 0 ? rule.configs : available).filter(name => available.includes(name));
+    const candidates = pool.length > 1 ? pool.filter(name => name !== activeName) : pool;
+    return candidates[Math.floor(Math.random() * candidates.length)] || null;
+  }
+
+  for (let i = 0; i < rule.configs.length; i++) {
+    const name = rule.configs[(rule.position + i) % rule.configs.length];
+    if (available.includes(name)) {
+      rule.position = (rule.position + i + 1) % rule.configs.length;
+      return name;
+    }
+  }
+  return null;
+}
+
+async function runRule(id) {
+  const rules = await loadRules();
+  const rule = rules.find(r => r.id === id);
+  if (!rule) return null;
+
+  // The activation service records its own attempts in history
+  const context = { actor: 'scheduler', trigger: 'schedule', reason: `Rule "${rule.name}"` };
+  let result;
+  let configName = null;
+  try {
+    configName = await pickConfig(rule);
+    if (!configName) {
+      result = { outcome: 'error', sourceName: null, error: 'No available configuration to rotate to' };
+      await historyService.record({ type: 'failure', outcome: 'error', ...context, error: result.error });
+    } else {
+      console.log(`[SCHEDULER] Rule "${rule.name}" activating ${configName}`);
+      const activation = await activationService.activate(configName, context);
+      result = { outcome: activation.outcome, sourceName: configName, error: activation.error || null };
+    }
+  } catch (error) {
+    result = { outcome: 'error', sourceName: configName, error: error.message };
+  }
+
+  // Reload: the rules may have been edited while the activation was running
+  const freshRules = await loadRules();
+  const freshRule = freshRules.find(r => r.id === id);
+  if (freshRule) {
+    freshRule.position = rule.position;
+    freshRule.lastRunAt = new Date().toISOString();
+    freshRule.lastResult = result;
+    await saveRules(freshRules);
+  }
+
+  return withNextRun(freshRule || rule);
+}
+
+async function runQueue() {
+  if (runningRuleId) return;
+  while (queue.length > 0) {
+    const rule = queue.shift();
+    runningRuleId = rule.id;
+    try {
+      await runRule(rule.id);
+    } catch (error) {
+      console.error(`[SCHEDULER] Rule "${rule.name}" failed:`, error.message);
+    }
+    runningRuleId = null;
+  }
+}
+
+// A rule that is due again while it is still queued or running is skipped,
+// and the skip is recorded in history
+async function tick() {
+  const now = new Date();
+  let rules;
+  try {
+    rules = await loadRules();
+  } catch (error) {
+    console.error('[SCHEDULER] Could not load schedules:', error.message);
+    return;
+  }
+
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    let due;
+    try {
+      due = cron.matches(cron.parseCron(rule.cron), now);
+    } catch (error) {
+      console.error(`[SCHEDULER] Rule "${rule.name}" skipped:`, error.message);
+      continue;
+    }
+    if (!due) continue;
+    if (runningRuleId === rule.id || queue.some(queued => queued.id === rule.id)) {
+      console.log(`[SCHEDULER] Rule "${rule.name}" skipped, its previous run is not finished`);
+      await historyService.record({
+        type: 'failure', outcome: 'error', actor: 'scheduler', trigger: 'schedule', reason: `Rule "${rule.name}"`,
+        error: 'Skipped, the previous run of the rule is not finished'
+      }).catch(error => console.error('[SCHEDULER] Could not record the skip:', error.message));
+      continue;
+    }
+    queue.push({ id: rule.id, name: rule.name });
+  }
+  runQueue();
+}
+
+// Check the rules at the start of every minute. The next check is planned
+// before the due rules run, so a long activation does not hide a minute.
+function start() {
+  if (timer) return;
+  const scheduleNextTick = () => {
+    const delay = 60000 - (Date.now() % 60000);
+    timer = setTimeout(() => {
+      scheduleNextTick();
+      tick();
+    }, delay);
+  };
+  scheduleNextTick();
+  console.log('[SCHEDULER] Started');
+}
+
+module.exports = {
+  start,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  runRule
+};
@@ -5,6 +5,12 @@ module.exports = {
   httpsEnabled: process.env.HTTPS_ENABLED === 'true',
   httpsKeyPath: process.env.HTTPS_KEY_PATH || '',
   httpsCertPath: process.env.HTTPS_CERT_PATH || '',
+  httpsPort: parseInt(process.env.HTTPS_PORT || '3443', 10),
+  // Keeps a plain HTTP listener on port 3003 that redirects to HTTPS
+  httpRedirect: process.env.HTTP_REDIRECT === 'true',
+
+  // Origins allowed to call the API from another site, e.g. "https://dashboard.example.com"
+  corsAllowedOrigins: (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
 
   sessionSecret: process.env.SESSION_SECRET || 'CHANGE_ME_RANDOM_64_CHARS',
   sessionName: process.env.SESSION_NAME || 'gluetun-switcher.sid',
@@ -4,9 +4,26 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
-const Docker = require('dockerode');
 const session = require('express-session');
 const authService = require('./auth/auth.service');
+const tokensService = require('./auth/tokens.service');
+const sessionsService = require('./auth/sessions.service');
+const permissions = require('./auth/permissions');
+const csrf = require('./auth/csrf');
+const activationService = require('./activation/activation.service');
+const gluetunService = require('./gluetun/gluetun.service');
+const wireguardService = require('./wireguard/wireguard.service');
+const historyService = require('./history/history.service');
+const schedulerService = require('./scheduler/scheduler.service');
+const failoverService = require('./failover/failover.service');
+const locationsService = require('./locations/locations.service');
+const serverSelectionService = require('./locations/server-selection.service');
+const probeService = require('./probe/probe.service');
+const eventsService = require('./events/events.service');
+const metricsService = require('./metrics/metrics.service');
+const notificationsService = require('./notifications/notifications.service');
+const mqttService = require('./mqtt/mqtt.service');
+const certificatesService = require('./certificates/certificates.service');
 const security = require('./security.config.js');
 const http = require('http');
 const https = require('https');
@@ -15,25 +32,41 @@ const app = express();
 const port = 3003;
 
 async function startServer() {
-  const docker = new Docker({ socketPath: '/var/run/docker.sock' });
-  const historyPath = path.join(__dirname, 'config', 'history', 'history.json');
   const statePath = path.join(__dirname, 'config', 'state.json');
 
 // Middlewares
-// CORS configuration: allow credentials so session cookies are accepted
+// CORS: only the origins in CORS_ALLOWED_ORIGINS may call the API from
+// another site with the session cookie. The pages of this server need nothing.
 app.use(cors({
-  origin: true,
+  origin: (origin, callback) => callback(null, !!origin && security.corsAllowedOrigins.includes(origin)),
   credentials: true
 }));
+// Uploads carry up to MAX_UPLOAD_FILES configurations, which JSON escaping
+// can make up to twice as large
+app.use('/api/wireguard-files', express.json({
+  limit: wireguardService.MAX_UPLOAD_FILES * wireguardService.MAX_CONFIG_SIZE * 2
+}));
 app.use(express.json());
 // Parse application/x-www-form-urlencoded (HTML form posts)
 app.use(express.urlencoded({ extended: false }));
+// Body parser errors answered in JSON, like every API error
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'The request is too large' });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'The request body is not valid JSON' });
+  }
+  next(error);
+});
 
 const isHttps = security.httpsEnabled === true;
 
 app.use(session({
   name: security.sessionName,
   secret: security.sessionSecret,
+  // Kept in config/security/sessions.json so a restart logs nobody out
+  store: sessionsService.store,
   resave: false,
   saveUninitialized: false,
   cookie: {
@@ -47,6 +80,9 @@ app.use(session({
   }
 }));
 
+// Every state-changing request made with the session cookie needs the CSRF token
+app.use(csrf.middleware);
+
 // Initialize admin password on startup
 authService.ensureAdminPasswordInitialized();
 
@@ -56,36 +92,117 @@ authService.ensureAdminPasswordInitialized();
 // Authentication routes
 
 // Get current logged user
-app.get('/api/auth/me', (req, res) => {
+app.get('/api/auth/me', async (req, res) => {
   if (!req.session.user) {
     return res.status(401).json({ success: false });
   }
-  res.json({ success: true, username: req.session.user.username });
+  const user = await authService.getUser(req.session.user.username);
+  if (!user || user.disabled) {
+    return res.status(401).json({ success: false });
+  }
+  res.json({
+    success: true,
+    username: user.username,
+    role: user.role,
+    twoFactorEnabled: user.twoFactorEnabled,
+    mustEnrollTwoFactor: user.mustEnrollTwoFactor,
+    // For the allowed origins, which cannot read the cookie
+    csrfToken: req.session.csrfToken
+  });
 });
 
 // Logout
 app.post('/api/auth/logout', (req, res) => {
   req.session.destroy(() => {
+    res.clearCookie(csrf.COOKIE_NAME, { path: '/' });
     res.json({ success: true });
   });
 });
+// Logins are recorded in history; a history error must not block the login
+// `lockout` marks the failed attempt that locked the account
+function recordLogin(req, username, success, error, lockout = false) {
+  historyService.record({
+    type: success ? 'login' : 'login_failed',
+    outcome: success ? 'success' : 'error',
+    actor: String(username || '').slice(0, 64),
+    ip: req.ip,
+    error,
+    ...(lockout ? { lockout } : {})
+  }).catch(e => console.error('[HISTORY] Could not record login:', e.message));
+}
+
 app.post('/api/auth/login', async (req, res) => {
   const { username, password } = req.body;
   try {
     const result = await authService.authenticate(username, password);
     if (!result.success) {
+      metricsService.countLoginFailure({ lockedOut: result.lockedOut });
+      const error = result.disabled ? 'Account disabled'
+        : result.locked || result.lockedOut ? 'Account locked' : 'Invalid credentials';
+      recordLogin(req, username, false, error, result.lockedOut);
       return res.status(401).json({ success: false, locked: result.locked || false });
     }
 
+    // Two-factor users are logged in by /api/auth/login/2fa
+    if (result.twoFactor) {
+      req.session.pendingLogin = { username, mustChangePassword: !!result.mustChangePassword, createdAt: Date.now() };
+      return req.session.save(() => res.json({ success: true, twoFactorRequired: true }));
+    }
+    recordLogin(req, username, true);
+
     req.session.user = { username };
     req.session.mustChangePassword = !!result.mustChangePassword;
+    sessionsService.trackActivity(req);
+    const csrfToken = csrf.issueToken(req, res);
 
     // Ensure the session is persisted before responding (important in Docker / async IO)
     req.session.save(() => {
       res.json({
         success: true,
         mustChangePassword: result.mustChangePassword,
-        noPassword: !!result.noPassword
+        mustEnrollTwoFactor: !!result.mustEnrollTwoFactor,
+        noPassword: !!result.noPassword,
+        csrfToken
+      });
+    });
+  } catch (e) {
+    res.status(500).json({ success: false });
+  }
+});
+
+// Second login step: { code } from the authenticator app or { recoveryCode }.
+// The password step must have succeeded less than 5 minutes ago.
+const PENDING_LOGIN_MAX_AGE_MS = 5 * 60 * 1000;
+
+app.post('/api/auth/login/2fa', async (req, res) => {
+  const pending = req.session.pendingLogin;
+  if (!pending || Date.now() - pending.createdAt > PENDING_LOGIN_MAX_AGE_MS) {
+    delete req.session.pendingLogin;
+    return res.status(401).json({ success: false, expired: true, error: 'Sign in again' });
+  }
+  try {
+    const result = await authService.verifyTwoFactor(pending.username, req.body);
+    if (!result.success) {
+      metricsService.countLoginFailure({ lockedOut: result.lockedOut });
+      recordLogin(req, pending.username, false,
+        result.locked || result.lockedOut ? 'Account locked' : 'Invalid two-factor code', result.lockedOut);
+      if (result.locked || result.lockedOut) delete req.session.pendingLogin;
+      return req.session.save(() => res.status(401).json({ success: false, locked: !!(result.locked || result.lockedOut) }));
+    }
+    recordLogin(req, pending.username, true);
+
+    delete req.session.pendingLogin;
+    req.session.user = { username: pending.username };
+    req.session.mustChangePassword = pending.mustChangePassword;
+    sessionsService.trackActivity(req);
+    const csrfToken = csrf.issueToken(req, res);
+    req.session.save(() => {
+      res.json({
+        success: true,
+        mustChangePassword: pending.mustChangePassword,
+        usedRecoveryCode: result.usedRecoveryCode,
+        recoveryCodesLeft: result.recoveryCodesLeft,
+        csrfToken
       });
     });
   } catch (e) {
@@ -101,6 +218,8 @@ app.post('/api/auth/change-password', async (req, res) => {
     const username = req.session.user.username;
 
     await authService.changePassword(username, req.body.newPassword);
+    // Whoever knew the old password is logged out everywhere else
+    await sessionsService.revokeUserSessions(username, req.sessionID);
 
     if (req.session) {
       // Ensure the user is authenticated in session before redirecting
@@ -140,21 +259,15 @@ app.get('/api/config/map', (req, res) => {
   });
 });
 
-// Proxy endpoint for geolocation to avoid CORS issues
+// Public IP and geolocation, read from the Gluetun control server.
+// This is the only IP source used by the frontend (no direct browser calls).
 app.get('/api/geolocation', async (req, res) => {
   try {
-    const geolocationUrl = process.env.GEOLOCATION_API_URL || 'http://localhost:8000/v1/publicip/ip';
-    const response = await fetch(geolocationUrl);
-    
-    if (!response.ok) {
-      throw new Error(`API responded with status ${response.status}`);
-    }
-    
-    const data = await response.json();
-    res.json(data);
+    const info = await gluetunService.getPublicIpInfo({ refresh: req.query.refresh === 'true' });
+    res.json({ success: true, ...info });
   } catch (error) {
     console.error('Geolocation proxy error:', error);
-    res.status(500).json({
+    res.status(502).json({
       success: false,
       error: 'Failed to fetch geolocation data',
       details: error.message
@@ -162,9 +275,24 @@ app.get('/api/geolocation', async (req, res) => {
   }
 });
 
+// Prometheus metrics, outside the session auth so scrapers can reach them.
+// Protected by METRICS_TOKEN when it is set.
+app.get('/metrics', async (req, res) => {
+  if (!metricsService.isAuthorized(req.get('Authorization'))) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').send('Unauthorized\n');
+  }
+  try {
+    res.type('text/plain; version=0.0.4').send(await metricsService.render());
+  } catch (error) {
+    res.status(500).send(`${error.message}\n`);
+  }
+});
+
 // Protect sensitive HTML files from direct static access
+const PROTECTED_PAGES = ['change-password.html', 'gluetun-switcher.html', 'settings.html', 'two-factor.html', 'sessions.html'];
+
 app.use((req, res, next) => {
-  if (req.path === '/change-password.html' || req.path === '/gluetun-switcher.html') {
+  if (PROTECTED_PAGES.includes(req.path.slice(1))) {
     if (!req.session || !req.session.user) {
       return res.redirect('/login');
     }
@@ -172,11 +300,30 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static files FIRST (HTML, CSS, JS, images)
-app.use(express.static(__dirname));
+// Serve static files FIRST (HTML, CSS, JS, images). Only the files and folders
+// the pages load are reachable: config/ holds the users, API tokens, sessions,
+// notification secrets and TLS key, and only its flag images are public.
+const PUBLIC_FILES = [
+  ...PROTECTED_PAGES,
+  'login.html',
+  'styles.css',
+  'favicon.ico',
+  'wireguard-script.js',
+  'common-script.js',
+  'settings-script.js',
+  'two-factor-script.js',
+  'sessions-script.js',
+  'locations/location-matcher.js'
+];
+PUBLIC_FILES.forEach(file => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+app.use('/icons', express.static(path.join(__dirname, 'icons')));
+app.use('/locales', express.static(path.join(__dirname, 'locales')));
+app.use('/config/flags', express.static(path.join(__dirname, 'config', 'flags')));
 
 // Protect API routes and pages below
-app.use((req, res, next) => {
+app.use(async (req, res, next) => {
   console.log('[AUTH MIDDLEWARE]', req.method, req.path, 'session user =', req.session && req.session.user);
 
   // Public auth APIs
@@ -194,30 +341,63 @@ app.use((req, res, next) => {
     return res.redirect('/login');
   }
 
+  // API tokens (scripts, CLI), limited to the routes their scope and the
+  // role of their owner allow
+  const authorization = req.get('Authorization') || '';
+  if (req.path.startsWith('/api/') && authorization.startsWith('Bearer ')) {
+    const token = await tokensService.verifyToken(authorization.slice('Bearer '.length).trim());
+    const owner = token && await authService.getUser(token.username);
+    if (!token || !owner || owner.disabled) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired API token' });
+    }
+    if (!permissions.allows(permissions.getTokenLevel(token.scope, owner.role), permissions.getRequiredLevel(req.method, req.path))) {
+      return res.status(403).json({ success: false, error: `The "${token.scope}" scope does not allow this request` });
+    }
+    req.user = { username: owner.username, role: owner.role, tokenId: token.id, tokenName: token.name };
+    return next();
+  }
+
   // Protect everything else
   if (!req.session.user) return res.redirect('/login');
 
+  // The user is read again on every request, so a role change, a disabled or
+  // a deleted account takes effect at once
+  const user = await authService.getUser(req.session.user.username);
+  if (!user || user.disabled) {
+    return req.session.destroy(() => res.redirect('/login'));
+  }
+  // When an admin requires two-factor authentication, users without it can
+  // only reach the setup page until it is done
+  if (user.mustEnrollTwoFactor && req.path !== '/two-factor' && !req.path.startsWith('/api/auth/2fa')) {
+    if (!req.path.startsWith('/api/')) return res.redirect('/two-factor');
+    return res.status(403).json({ success: false, twoFactorSetupRequired: true, error: 'Set up two-factor authentication first' });
+  }
+  if (req.path.startsWith('/api/')
+    && !permissions.allows(permissions.getRoleLevel(user.role), permissions.getRequiredLevel(req.method, req.path))) {
+    return res.status(403).json({ success: false, error: `The "${user.role}" role does not allow this request` });
+  }
+  req.user = { username: user.username, role: user.role };
+  sessionsService.trackActivity(req);
   next();
 });
 
 // List WireGuard files
 app.get('/api/wireguard-files', async (req, res) => {
-  const wireguardDir = process.env.WIREGUARD_DIR;
-  if (!wireguardDir) {
-    return res.status(500).json({
-      success: false,
-      error: "La variable d'environnement WIREGUARD_DIR n'est pas configurée sur le serveur."
-    });
+  let wireguardDir;
+  try {
+    wireguardDir = wireguardService.getWireguardDir();
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
   }
 
   try {
-    const files = await fs.readdir(wireguardDir);
-    const confFiles = files
-      .filter(file => file.endsWith('.conf') && file !== 'wg0.conf')
-      .map(file => ({
-        name: file,
-        fullPath: path.join(wireguardDir, file)
-      }));
+    const files = await wireguardService.listConfigFiles();
+    const confFiles = await Promise.all(files.map(async file => ({
+      name: file,
+      fullPath: path.join(wireguardDir, file),
+      ...await wireguardService.inspectConfigFile(path.join(wireguardDir, file))
+        .catch(error => ({ valid: false, errors: [error.message], warnings: [], details: null }))
+    })));
     res.json({ success: true, files: confFiles });
   } catch (error) {
     res.status(500).json({
@@ -227,65 +407,49 @@ app.get('/api/wireguard-files', async (req, res) => {
   }
 });
 
-// Load location data
-app.get('/api/locations', async (req, res) => {
+// Validation result and redacted details (no keys) of a WireGuard file
+app.get('/api/wireguard-files/:name/details', async (req, res) => {
   try {
-    // 1. Get wireguard directory and list of files
-    const wireguardDir = process.env.WIREGUARD_DIR;
-    let availableConfFiles = [];
-    if (wireguardDir) {
-      try {
-        const files = await fs.readdir(wireguardDir);
-        availableConfFiles = files.filter(file => file.endsWith('.conf'));
-      } catch {
-        // If directory doesn't exist, it's fine, no files are available.
-        console.log(`WireGuard directory ${wireguardDir} not found, assuming no configs are available.`);
-      }
-    }
+    const name = req.params.name;
+    const inspection = await wireguardService.inspectConfigFile(await wireguardService.resolveConfigPath(name));
+    res.json({ success: true, name, ...inspection });
+  } catch (error) {
+    res.status(error.code === 'ENOENT' ? 404 : 400).json({ success: false, error: error.message });
+  }
+});
 
-    // 2. Load locations data (respecting development environment)
-    const devLocations = path.join(__dirname, 'locations.local.json');
-    const prodLocations = path.join(__dirname, 'config', 'locations.json');
+// Upload one or more WireGuard files: { files: [{ name, content }], overwrite }
+app.post('/api/wireguard-files', async (req, res) => {
+  const files = Array.isArray(req.body.files) ? req.body.files : [];
+  if (files.length === 0) {
+    return res.status(400).json({ success: false, error: 'No file to upload.' });
+  }
+  if (files.length > wireguardService.MAX_UPLOAD_FILES) {
+    return res.status(400).json({ success: false, error: `At most ${wireguardService.MAX_UPLOAD_FILES} files per upload.` });
+  }
 
-    let locationsFile = prodLocations;
-    if (process.env.NODE_ENV === 'development') {
-      try {
-        await fs.access(devLocations);
-        locationsFile = devLocations;
-      } catch {
-        locationsFile = prodLocations;
-      }
+  const results = [];
+  for (const file of files) {
+    try {
+      results.push(await wireguardService.saveUploadedConfig(file.name, file.content, { overwrite: req.body.overwrite === true }));
+    } catch (error) {
+      results.push({ name: file.name, status: 'error', error: error.message });
     }
+  }
+  console.log('[UPLOAD]', results.map(r => `${r.name}: ${r.status}`).join(', '));
 
-    const locationsData = JSON.parse(await fs.readFile(locationsFile, 'utf8'));
-
-    // 3. Process and enrich locations
-    const enrichedLocations = Object.entries(locationsData).map(([countryCode, data]) => {
-      const hasEnoughKeywords = data.keywords && data.keywords.length >= 2;
-      let matchingFileName = null;
-      let isAvailable = false;
-
-      if (hasEnoughKeywords) {
-        // Filename is expected to be based on the first keyword. e.g., "france" -> "france.conf"
-        const expectedFileName = `${data.keywords[0]}.conf`;
-        const foundFile = availableConfFiles.find(f => f.toLowerCase() === expectedFileName.toLowerCase());
-        if (foundFile) {
-          matchingFileName = foundFile;
-          isAvailable = true;
-        }
-      }
+  res.json({ success: results.every(r => r.status !== 'error'), results });
+});
 
-      return {
-        countryCode,
-        ...data,
-        isAvailable,
-        fullPath: isAvailable ? path.join(wireguardDir, matchingFileName) : null,
-        fileName: matchingFileName,
-      };
+// Load location data, with every configuration file matching each location
+app.get('/api/locations', async (req, res) => {
+  try {
+    const { locations, unmatchedFiles } = await locationsService.getLocationsWithFiles();
+    res.json({
+      success: true,
+      locations: locations.map(location => ({ ...location, isAvailable: location.files.length > 0 })),
+      unmatchedFiles
     });
-
-    res.json({ success: true, locations: enrichedLocations });
-
   } catch (error) {
     console.error('Error in /api/locations:', error);
     res.status(500).json({
@@ -295,70 +459,101 @@ app.get('/api/locations', async (req, res) => {
   }
 });
 
-// Activate a WireGuard configuration (rename to wg0.conf)
-app.post('/api/activate-config', async (req, res) => {
-  const { sourcePath } = req.body;
-  console.log(`[ACTIVATE] Received request to activate: ${sourcePath}`);
-  if (!sourcePath) {
-    console.error('[ACTIVATE] Error: sourcePath is missing.');
-    return res.status(400).json({ success: false, error: 'Le chemin du fichier source est manquant.' });
+// Location entries with the files they match, for the locations editor
+app.get('/api/locations/overview', async (req, res) => {
+  try {
+    res.json({ success: true, ...await locationsService.getOverview() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: `Could not read locations: ${error.message}` });
   }
+});
 
+app.post('/api/locations', async (req, res) => {
   try {
-    const sourceStats = await fs.stat(sourcePath);
-    if (!sourceStats.isFile()) {
-      throw new Error('Le chemin source n\'est pas un fichier valide');
-    }
+    res.json({ success: true, location: await locationsService.createLocation(req.body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-    const wireguardDir = process.env.WIREGUARD_DIR;
-    if (!wireguardDir) {
-      return res.status(500).json({
-        success: false,
-        error: "La variable d'environnement WIREGUARD_DIR n'est pas configurée sur le serveur."
-      });
+app.route('/api/locations/:code')
+  .put(async (req, res) => {
+    try {
+      const location = await locationsService.updateLocation(req.params.code, req.body);
+      if (!location) return res.status(404).json({ success: false, error: 'Location not found' });
+      res.json({ success: true, location });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
     }
-    const wg0Path = path.join(wireguardDir, 'wg0.conf');
-    const sourceName = path.basename(sourcePath);
-
-    console.log(`[ACTIVATE] Attempting to copy '${sourcePath}' to '${wg0Path}'`);
-    await fs.copyFile(sourcePath, wg0Path);
-    console.log(`[ACTIVATE] Copy successful.`);
-    await fs.writeFile(statePath, JSON.stringify({ activeConfigName: sourceName })); // Save the name of the activated file
-
-    const restartResults = [];
-    const containersToRestart = process.env.CONTAINER_TO_RESTART;
-    if (containersToRestart) {
-      const containerNames = containersToRestart.split(',').map(name => name.trim());
-      const restartPromises = containerNames.map(async (containerName) => {
-        if (!containerName) return null;
-        try {
-          const container = docker.getContainer(containerName);
-          await container.restart();
-          return { containerName, status: 'success' };
-        } catch (restartError) {
-          let errorMessage = 'Unknown restart error';
-          if (restartError && restartError.json && restartError.json.message) {
-            errorMessage = restartError.json.message;
-          } else if (restartError && restartError.message) {
-            errorMessage = restartError.message;
-          } else if (restartError) {
-            errorMessage = String(restartError);
-          }
-          return { containerName, status: 'error', message: errorMessage };
-        }
-      });
-      
-      const results = await Promise.all(restartPromises);
-      restartResults.push(...results.filter(r => r !== null));
+  })
+  .delete(async (req, res) => {
+    try {
+      const deleted = await locationsService.deleteLocation(req.params.code);
+      if (!deleted) return res.status(404).json({ success: false, error: 'Location not found' });
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
     }
+  });
 
-    res.json({
-      success: true,
+// Response of the activation routes: 500 when the activation was rolled back
+function sendActivationResult(res, result, extra = {}) {
+  if (result.outcome !== 'committed') {
+    return res.status(500).json({
+      success: false,
+      outcome: result.outcome,
+      error: result.outcome === 'rolled_back'
+        ? `Activation annulée, configuration précédente restaurée: ${result.error}`
+        : `Activation échouée et restauration impossible: ${result.rollback.error}`,
       activated: {
-        sourceName: sourceName,
+        sourceName: result.sourceName,
       },
-      restarts: restartResults
+      restarts: result.restarts,
+      tunnel: result.tunnel,
+      rollback: result.rollback,
+      ...extra
+    });
+  }
+
+  res.json({
+    success: true,
+    outcome: result.outcome,
+    activated: {
+      sourceName: result.sourceName,
+    },
+    restarts: result.restarts,
+    tunnel: result.tunnel,
+    activation: result.activation,
+    ...extra
+  });
+}
+
+// Activate a WireGuard configuration (rename to wg0.conf)
+app.post('/api/activate-config', async (req, res) => {
+  // Only a file name is accepted, resolved inside WIREGUARD_DIR
+  const { fileName } = req.body;
+  console.log(`[ACTIVATE] Received request to activate: ${fileName}`);
+  if (!fileName) {
+    console.error('[ACTIVATE] Error: fileName is missing.');
+    return res.status(400).json({ success: false, error: 'Le nom du fichier de configuration est manquant.' });
+  }
+
+  try {
+    await wireguardService.resolveConfigPath(fileName);
+  } catch (error) {
+    console.error(`[ACTIVATE] Rejected configuration '${fileName}': ${error.message}`);
+    return res.status(error.code === 'ENOENT' ? 404 : 400).json({
+      success: false,
+      error: error.code === 'ENOENT' ? `Configuration introuvable: ${fileName}` : error.message
     });
+  }
+
+  try {
+    sendActivationResult(res, await activationService.activate(fileName, {
+      actor: req.user.username,
+      trigger: 'manual',
+      reason: req.user.tokenName ? `API token "${req.user.tokenName}"` : undefined
+    }));
   } catch (error) {
     console.error(`[ACTIVATE] Error during activation:`, error);
     res.status(500).json({
@@ -368,6 +563,69 @@ app.post('/api/activate-config', async (req, res) => {
   }
 });
 
+// Activate a location: one of its configuration files is picked by strategy
+// (random, round-robin or latency), skipping servers that recently failed
+app.post('/api/activate-location', async (req, res) => {
+  const { countryCode, strategy } = req.body;
+  console.log(`[ACTIVATE] Received request to activate location: ${countryCode} (${strategy || 'default strategy'})`);
+  if (!countryCode) {
+    return res.status(400).json({ success: false, error: 'Le code de l\'emplacement est manquant.' });
+  }
+
+  let pick;
+  try {
+    pick = await serverSelectionService.pickServer(countryCode, strategy || undefined);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  if (!pick) return res.status(404).json({ success: false, error: `Emplacement introuvable: ${countryCode}` });
+
+  try {
+    sendActivationResult(res, await serverSelectionService.activatePick(pick, req.user.username), { picked: pick });
+  } catch (error) {
+    console.error(`[ACTIVATE] Error during location activation:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Erreur lors de l'activation: ${error.message}`
+    });
+  }
+});
+
+// Selection strategies and per-server failure/latency records
+app.get('/api/server-selection', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      strategies: serverSelectionService.STRATEGIES,
+      defaultStrategy: serverSelectionService.getDefaultStrategy(),
+      servers: await serverSelectionService.getServerStates()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Live activation steps (Server-Sent Events). A page opened during an
+// activation first receives the steps already done.
+activationService.events.on('progress', progress => eventsService.broadcast('activation', progress));
+
+app.get('/api/events', (req, res) => {
+  const initialEvents = activationService.isActivationInProgress()
+    ? activationService.getProgress().map(progress => ({ event: 'activation', data: progress }))
+    : [];
+  eventsService.subscribe(req, res, initialEvents);
+});
+
+// Status of the last activation, including the server-side IP change verification
+app.get('/api/activation-status', async (req, res) => {
+  try {
+    const activation = await activationService.getLastActivation();
+    res.json({ success: true, activation });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // SSH functionality has been removed.
 
 // Routes for configuration paths and folding state have been removed.
@@ -414,59 +672,453 @@ app.get('/api/current-config-info', async (req, res) => {
   }
 });
 
-// Manage operation history
+// Operation history, recorded by the server. Filters: type (comma separated),
+// since, until, location, actor; paginated with page and pageSize.
+app.get('/api/operation-history/export', async (req, res) => {
+  const format = req.query.format === 'csv' ? 'csv' : 'json';
+  try {
+    const content = await historyService.exportHistory(req.query, format);
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="operation-history-${date}.${format}"`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/json').send(content);
+  } catch (error) {
+    res.status(error.code === 'INVALID_FILTER' ? 400 : 500).json({ success: false, error: error.message });
+  }
+});
+
 app.route('/api/operation-history')
   .get(async (req, res) => {
     try {
-      const data = await fs.readFile(historyPath, 'utf8');
-      res.json(JSON.parse(data));
+      res.json(await historyService.queryHistory(req.query));
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        res.json([]); // The file does not exist, return an empty array
-      } else {
-        res.status(500).json({ success: false, error: 'Could not read history.' });
-      }
+      res.status(error.code === 'INVALID_FILTER' ? 400 : 500).json({ success: false, error: error.message });
+    }
+  })
+  .delete(async (req, res) => {
+    try {
+      await historyService.clearHistory();
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Could not delete history.' });
+    }
+  });
+
+// Scheduled rotation rules
+app.route('/api/schedules')
+  .get(async (req, res) => {
+    try {
+      res.json({ success: true, schedules: await schedulerService.listRules() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: `Could not read schedules: ${error.message}` });
     }
   })
   .post(async (req, res) => {
     try {
-      await fs.writeFile(historyPath, JSON.stringify(req.body.history, null, 2));
+      res.json({ success: true, schedule: await schedulerService.createRule(req.body) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+app.route('/api/schedules/:id')
+  .put(async (req, res) => {
+    try {
+      const schedule = await schedulerService.updateRule(req.params.id, req.body);
+      if (!schedule) return res.status(404).json({ success: false, error: 'Schedule not found' });
+      res.json({ success: true, schedule });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  })
+  .delete(async (req, res) => {
+    try {
+      const deleted = await schedulerService.deleteRule(req.params.id);
+      if (!deleted) return res.status(404).json({ success: false, error: 'Schedule not found' });
       res.json({ success: true });
     } catch (error) {
-      res.status(500).json({ success: false, error: 'Could not write history.' });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+// Run a rule immediately, through the same activation path as a scheduled run
+app.post('/api/schedules/:id/run', async (req, res) => {
+  try {
+    const schedule = await schedulerService.runRule(req.params.id);
+    if (!schedule) return res.status(404).json({ success: false, error: 'Schedule not found' });
+    res.json({ success: schedule.lastResult.outcome === 'committed', schedule, error: schedule.lastResult.error });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Automatic failover settings and health monitor status
+app.route('/api/failover')
+  .get(async (req, res) => {
+    try {
+      res.json({ success: true, settings: await failoverService.loadSettings(), status: failoverService.getStatus() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: `Could not read failover settings: ${error.message}` });
+    }
+  })
+  .put(async (req, res) => {
+    try {
+      res.json({ success: true, settings: await failoverService.saveSettings(req.body), status: failoverService.getStatus() });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+// Personal API tokens. They are managed from a logged-in session only, so a
+// leaked token cannot create others.
+function requireSession(req, res, error = 'API tokens cannot manage tokens') {
+  if (!req.user.tokenId) return true;
+  res.status(403).json({ success: false, error });
+  return false;
+}
+
+app.get('/api/tokens', async (req, res) => {
+  if (!requireSession(req, res)) return;
+  try {
+    res.json({
+      success: true,
+      scopes: permissions.LEVELS.filter(scope => permissions.allows(permissions.getRoleLevel(req.user.role), scope)),
+      tokens: await tokensService.listTokens(req.user.username)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: `Could not read API tokens: ${error.message}` });
+  }
+});
+
+app.post('/api/tokens', async (req, res) => {
+  if (!requireSession(req, res)) return;
+  try {
+    res.json({
+      success: true,
+      ...await tokensService.createToken(req.user.username, req.body, permissions.getRoleLevel(req.user.role))
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/tokens/:id', async (req, res) => {
+  if (!requireSession(req, res)) return;
+  try {
+    if (!await tokensService.revokeToken(req.user.username, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'API token not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Logged-in sessions: everyone sees their own, admins those of every user.
+// From a session only, like API tokens.
+const SESSIONS_TOKEN_ERROR = 'API tokens cannot manage sessions';
+
+app.get('/api/sessions', (req, res) => {
+  if (!requireSession(req, res, SESSIONS_TOKEN_ERROR)) return;
+  const all = req.user.role === 'admin' && req.query.all === 'true';
+  res.json({
+    success: true,
+    sessions: sessionsService.listSessions(all ? null : req.user.username, req.sessionID)
+  });
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+  if (!requireSession(req, res, SESSIONS_TOKEN_ERROR)) return;
+  try {
+    const username = req.user.role === 'admin' ? null : req.user.username;
+    if (!await sessionsService.revokeSession(req.params.id, username)) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Every session of the user except the current one
+app.post('/api/sessions/revoke-others', async (req, res) => {
+  if (!requireSession(req, res, SESSIONS_TOKEN_ERROR)) return;
+  try {
+    res.json({ success: true, revoked: await sessionsService.revokeUserSessions(req.user.username, req.sessionID) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Two-factor authentication of the logged-in user, from a session only
+const TWO_FACTOR_TOKEN_ERROR = 'API tokens cannot manage two-factor authentication';
+
+app.get('/api/auth/2fa', async (req, res) => {
+  if (!requireSession(req, res, TWO_FACTOR_TOKEN_ERROR)) return;
+  try {
+    res.json({ success: true, ...await authService.getTwoFactorStatus(req.user.username) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// New secret and its QR code; enabled once a code is confirmed
+app.post('/api/auth/2fa/setup', async (req, res) => {
+  if (!requireSession(req, res, TWO_FACTOR_TOKEN_ERROR)) return;
+  try {
+    res.json({ success: true, ...await authService.startTwoFactorSetup(req.user.username) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/enable', async (req, res) => {
+  if (!requireSession(req, res, TWO_FACTOR_TOKEN_ERROR)) return;
+  try {
+    res.json({ success: true, recoveryCodes: await authService.confirmTwoFactorSetup(req.user.username, req.body.code) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', async (req, res) => {
+  if (!requireSession(req, res, TWO_FACTOR_TOKEN_ERROR)) return;
+  try {
+    res.json({ success: true, recoveryCodes: await authService.regenerateRecoveryCodes(req.user.username, req.body.code) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/2fa/disable', async (req, res) => {
+  if (!requireSession(req, res, TWO_FACTOR_TOKEN_ERROR)) return;
+  try {
+    await authService.disableTwoFactor(req.user.username, req.body.code);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Settings applying to every user: { requireTwoFactor }
+app.route('/api/security/settings')
+  .get(async (req, res) => {
+    try {
+      res.json({ success: true, settings: await authService.getSecuritySettings() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  })
+  .put(async (req, res) => {
+    try {
+      res.json({ success: true, settings: await authService.updateSecuritySettings(req.body) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+// User accounts, admin only (see auth/permissions.js)
+app.route('/api/users')
+  .get(async (req, res) => {
+    try {
+      res.json({ success: true, roles: authService.ROLES, users: await authService.listUsers() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: `Could not read users: ${error.message}` });
+    }
+  })
+  .post(async (req, res) => {
+    try {
+      res.json({ success: true, user: await authService.createUser(req.body) });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+app.route('/api/users/:username')
+  .put(async (req, res) => {
+    try {
+      const user = await authService.updateUser(req.params.username, req.body);
+      if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+      if (user.disabled) await sessionsService.revokeUserSessions(user.username);
+      res.json({ success: true, user });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
     }
   })
   .delete(async (req, res) => {
+    if (req.params.username === req.user.username) {
+      return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+    }
     try {
-      await fs.unlink(historyPath);
+      if (!await authService.deleteUser(req.params.username)) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+      await tokensService.revokeUserTokens(req.params.username);
+      await sessionsService.revokeUserSessions(req.params.username);
       res.json({ success: true });
     } catch (error) {
-      if (error.code !== 'ENOENT') { // Ignore if the file does not exist
-        res.status(500).json({ success: false, error: 'Could not delete history.' });
-      } else {
-        res.json({ success: true });
+      res.status(400).json({ success: false, error: error.message });
+    }
+  });
+
+// Sets a temporary password, to be changed at the next login
+app.post('/api/users/:username/reset-password', async (req, res) => {
+  try {
+    const user = await authService.resetPassword(req.params.username, req.body.password);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    await sessionsService.revokeUserSessions(user.username, req.sessionID);
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Removes the two-factor authentication of a user who lost their device
+app.post('/api/users/:username/reset-2fa', async (req, res) => {
+  try {
+    const user = await authService.resetTwoFactor(req.params.username);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Notification targets (webhook, ntfy, Gotify, SMTP)
+app.get('/api/notifications', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      events: notificationsService.EVENTS,
+      types: notificationsService.TYPES,
+      targets: await notificationsService.listTargets()
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: `Could not read notification targets: ${error.message}` });
+  }
+});
+
+app.post('/api/notifications', async (req, res) => {
+  try {
+    res.json({ success: true, target: await notificationsService.createTarget(req.body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.route('/api/notifications/:id')
+  .put(async (req, res) => {
+    try {
+      const target = await notificationsService.updateTarget(req.params.id, req.body);
+      if (!target) return res.status(404).json({ success: false, error: 'Notification target not found' });
+      res.json({ success: true, target });
+    } catch (error) {
+      res.status(400).json({ success: false, error: error.message });
+    }
+  })
+  .delete(async (req, res) => {
+    try {
+      if (!await notificationsService.deleteTarget(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Notification target not found' });
       }
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
     }
   });
 
+app.post('/api/notifications/:id/test', async (req, res) => {
+  try {
+    const target = await notificationsService.sendTest(req.params.id);
+    if (!target) return res.status(404).json({ success: false, error: 'Notification target not found' });
+    res.json({ success: true, target });
+  } catch (error) {
+    res.status(500).json({ success: false, error: `Test notification failed: ${error.message}` });
+  }
+});
+
+// Endpoint reachability and latency of every configuration
+app.get('/api/probes', (req, res) => {
+  const { method, intervalSeconds } = probeService.getSettings();
+  res.json({ success: true, method, intervalSeconds, probes: probeService.getResults() });
+});
+
+// Probe every endpoint now instead of waiting for the next background run
+app.post('/api/probes/run', async (req, res) => {
+  try {
+    const { method, intervalSeconds } = probeService.getSettings();
+    res.json({ success: true, method, intervalSeconds, probes: await probeService.probeAll() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Public login page
 app.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, 'login.html'));
 });
 
+// Authenticated settings page (API tokens, users)
+app.get('/settings', (req, res) => {
+  res.sendFile(path.join(__dirname, 'settings.html'));
+});
+
+// Two-factor authentication setup
+app.get('/two-factor', (req, res) => {
+  res.sendFile(path.join(__dirname, 'two-factor.html'));
+});
+
+// Logged-in sessions, with revocation
+app.get('/sessions', (req, res) => {
+  res.sendFile(path.join(__dirname, 'sessions.html'));
+});
+
 // Authenticated home page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'gluetun-switcher.html'));
 });
 
-// The express.static middleware serves other files (CSS, JS, images).
-// It must be declared AFTER the API routes.
-app.use(express.static(__dirname));
+function startBackgroundServices() {
+  schedulerService.start();
+  failoverService.start();
+  probeService.start();
+  mqttService.start();
+}
+
+// Plain HTTP listener when HTTPS is on and HTTP_REDIRECT=true
+function redirectToHttps(req, res) {
+  const host = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+  const portSuffix = security.httpsPort === 443 ? '' : `:${security.httpsPort}`;
+  res.writeHead(301, { Location: `https://${host}${portSuffix}${req.url}` });
+  res.end();
+}
 
 // Start the server
-app.listen(port, () => {
-  console.log(`Web server started on http://localhost:${port}`);
+if (!isHttps) {
+  app.listen(port, () => {
+    console.log(`Web server started on http://localhost:${port}`);
+    startBackgroundServices();
+  });
+  return;
+}
+
+let credentials;
+try {
+  credentials = await certificatesService.loadCredentials();
+} catch (error) {
+  console.error('[HTTPS] Could not load the certificate:', error.message);
+  process.exit(1);
+}
+const httpsServer = https.createServer(credentials, app);
+certificatesService.watchCertificates(httpsServer);
+httpsServer.listen(security.httpsPort, () => {
+  console.log(`Web server started on https://localhost:${security.httpsPort}`);
+  startBackgroundServices();
 });
+if (security.httpRedirect) {
+  http.createServer(redirectToHttps).listen(port, () => {
+    console.log(`[HTTPS] http://localhost:${port} redirects to HTTPS`);
+  });
+}
 }
 
 startServer();
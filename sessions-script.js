@@ -0,0 +1,92 @@
+// Sessions page: logged-in browsers of the user (of every user for admins)
+
+Object.assign(api, {
+    getSessions: (all) => api.get(`sessions${all ? '?all=true' : ''}`),
+    revokeSession: (id) => api.delete(`sessions/${encodeURIComponent(id)}`),
+    revokeOtherSessions: () => api.post('sessions/revoke-others'),
+});
+
+let sessions = [];
+
+async function loadSessions() {
+    try {
+        ({ sessions } = await api.getSessions(document.getElementById('showAllSessions').checked));
+        displaySessions();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function displaySession(session) {
+    return `
+        <div class="location-item">
+            <div>
+                <h4>${escapeHtml(session.userAgent || t('unknownBrowser'))}${session.current ? ` <code>${t('currentSession')}</code>` : ''}</h4>
+                <p>${t('sessionIp').replace('{ip}', escapeHtml(session.ip || '-'))} · ${t('sessionCreated').replace('{date}', formatTimestamp(session.createdAt))} · ${t('sessionLastSeen').replace('{date}', formatTimestamp(session.lastSeenAt))}</p>
+            </div>
+            <div class="schedule-actions">
+                <button class="btn btn-warning btn-small" title="${t('revoke')}" onclick="revokeSession('${session.id}')">
+                    <i class="fas fa-sign-out-alt"></i>
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Grouped by user, the sessions come most recent first
+function displaySessions() {
+    const list = document.getElementById('sessionList');
+    if (sessions.length === 0) {
+        list.innerHTML = `<p class="no-operations">${t('noSession')}</p>`;
+        return;
+    }
+    const byUser = {};
+    sessions.forEach(session => {
+        (byUser[session.username] = byUser[session.username] || []).push(session);
+    });
+    const usernames = Object.keys(byUser).sort();
+    list.innerHTML = usernames.map(username => `
+        ${usernames.length > 1 || document.getElementById('showAllSessions').checked ? `<h3><i class="fas fa-user"></i> ${escapeHtml(username)}</h3>` : ''}
+        ${byUser[username].map(displaySession).join('')}
+    `).join('');
+}
+
+async function revokeSession(id) {
+    const session = sessions.find(entry => entry.id === id);
+    if (!confirm(t(session && session.current ? 'confirmRevokeCurrentSession' : 'confirmRevokeSession'))) return;
+    try {
+        await api.revokeSession(id);
+        if (session && session.current) {
+            window.location.href = '/login';
+            return;
+        }
+        showNotification(t('sessionRevoked'), 'success');
+        loadSessions();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function revokeOtherSessions() {
+    if (!confirm(t('confirmRevokeOtherSessions'))) return;
+    try {
+        const { revoked } = await api.revokeOtherSessions();
+        showNotification(t('otherSessionsRevoked').replace('{count}', revoked), 'success');
+        loadSessions();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadTranslations();
+    try {
+        const me = await api.getMe();
+        document.getElementById('allSessionsOption').classList.toggle('hidden', me.role !== 'admin');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    document.getElementById('showAllSessions').addEventListener('change', loadSessions);
+    document.getElementById('revokeOthersBtn').addEventListener('click', revokeOtherSessions);
+    loadSessions();
+});
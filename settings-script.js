@@ -0,0 +1,244 @@
+// Settings page: personal API tokens, and the users for admins
+
+Object.assign(api, {
+    getTokens: () => api.get('tokens'),
+    createToken: (token) => api.post('tokens', token),
+    revokeToken: (id) => api.delete(`tokens/${encodeURIComponent(id)}`),
+    getUsers: () => api.get('users'),
+    createUser: (user) => api.post('users', user),
+    updateUser: (username, changes) => api.put(`users/${encodeURIComponent(username)}`, changes),
+    resetPassword: (username, password) => api.post(`users/${encodeURIComponent(username)}/reset-password`, { password }),
+    deleteUser: (username) => api.delete(`users/${encodeURIComponent(username)}`),
+    resetTwoFactor: (username) => api.post(`users/${encodeURIComponent(username)}/reset-2fa`),
+    getSecuritySettings: () => api.get('security/settings'),
+    updateSecuritySettings: (settings) => api.put('security/settings', settings),
+});
+
+let currentUser = null;
+
+// API tokens
+async function loadTokens() {
+    try {
+        const { tokens, scopes } = await api.getTokens();
+        // Scopes above the role of the user are refused by the server
+        document.querySelectorAll('#tokenScope option').forEach(option => {
+            option.disabled = !scopes.includes(option.value);
+        });
+        const scopeSelect = document.getElementById('tokenScope');
+        if (scopeSelect.selectedOptions[0].disabled) scopeSelect.value = scopes[0];
+        displayTokens(tokens);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function displayTokens(tokens) {
+    const list = document.getElementById('tokenList');
+    if (tokens.length === 0) {
+        list.innerHTML = `<p class="no-operations">${t('noApiToken')}</p>`;
+        return;
+    }
+    list.innerHTML = tokens.map(token => {
+        const expires = token.expiresAt
+            ? t(token.expired ? 'tokenExpired' : 'tokenExpires').replace('{date}', formatTimestamp(token.expiresAt))
+            : t('tokenNeverExpires');
+        const lastUsed = token.lastUsedAt ? t('tokenLastUsed').replace('{date}', formatTimestamp(token.lastUsedAt)) : t('tokenNeverUsed');
+        return `
+        <div class="location-item ${token.expired ? 'unmatched' : ''}">
+            <div>
+                <h4>${escapeHtml(token.name)} <code>${token.scope}</code></h4>
+                <p><code>gs_…${escapeHtml(token.hint)}</code> · ${t('tokenCreated').replace('{date}', formatTimestamp(token.createdAt))} · ${expires} · ${lastUsed}</p>
+            </div>
+            <div class="schedule-actions">
+                <button class="btn btn-warning btn-small" title="${t('revoke')}" onclick="revokeToken('${token.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+async function createToken(e) {
+    e.preventDefault();
+    try {
+        const { token } = await api.createToken({
+            name: document.getElementById('tokenName').value,
+            scope: document.getElementById('tokenScope').value,
+            expiresInDays: document.getElementById('tokenExpiry').value
+        });
+        document.getElementById('newTokenValue').textContent = token;
+        document.getElementById('newToken').classList.remove('hidden');
+        document.getElementById('tokenName').value = '';
+        loadTokens();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function revokeToken(id) {
+    if (!confirm(t('confirmRevokeToken'))) return;
+    try {
+        await api.revokeToken(id);
+        showNotification(t('tokenRevoked'), 'success');
+        loadTokens();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+// Users (admin only)
+async function loadUsers() {
+    try {
+        const [{ users }, { settings }] = await Promise.all([api.getUsers(), api.getSecuritySettings()]);
+        document.getElementById('requireTwoFactor').checked = settings.requireTwoFactor;
+        displayUsers(users);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function setRequireTwoFactor(e) {
+    const requireTwoFactor = e.target.checked;
+    if (requireTwoFactor && !confirm(t('confirmRequireTwoFactor'))) {
+        e.target.checked = false;
+        return;
+    }
+    try {
+        await api.updateSecuritySettings({ requireTwoFactor });
+        showNotification(t(requireTwoFactor ? 'twoFactorNowRequired' : 'twoFactorNowOptional'), 'success');
+    } catch (error) {
+        e.target.checked = !requireTwoFactor;
+        showNotification(error.message, 'error');
+    }
+}
+
+function displayUsers(users) {
+    const roles = ['viewer', 'operator', 'admin'];
+    const roleKeys = { viewer: 'roleViewer', operator: 'roleOperator', admin: 'roleAdmin' };
+    document.getElementById('userList').innerHTML = users.map(user => {
+        const name = escapeHtml(user.username);
+        const isSelf = user.username === currentUser.username;
+        const states = [
+            user.disabled ? t('userDisabled') : null,
+            user.locked ? t('userLocked') : null,
+            user.mustChangePassword ? t('userMustChangePassword') : null,
+            user.twoFactorEnabled ? t('userTwoFactor') : null,
+            user.lastLoginAt ? t('userLastLogin').replace('{date}', formatTimestamp(user.lastLoginAt)) : t('userNeverLoggedIn')
+        ].filter(Boolean);
+        return `
+        <div class="location-item ${user.disabled ? 'unmatched' : ''}">
+            <div>
+                <h4>${name}${isSelf ? ` <small>(${t('you')})</small>` : ''}</h4>
+                <p>${states.join(' · ')}</p>
+            </div>
+            <div class="schedule-actions">
+                <select class="form-control" data-user-role="${name}" aria-label="${t('role')}">
+                    ${roles.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${t(roleKeys[role]).split(' – ')[0]}</option>`).join('')}
+                </select>
+                <button class="btn btn-secondary btn-small" title="${t('resetPassword')}" data-user-action="reset" data-username="${name}">
+                    <i class="fas fa-key"></i>
+                </button>
+                ${user.twoFactorEnabled ? `
+                <button class="btn btn-secondary btn-small" title="${t('resetTwoFactor')}" data-user-action="reset-2fa" data-username="${name}">
+                    <i class="fas fa-mobile-alt"></i>
+                </button>` : ''}
+                <button class="btn btn-secondary btn-small" title="${t(user.disabled ? 'enableUser' : 'disableUser')}" data-user-action="${user.disabled ? 'enable' : 'disable'}" data-username="${name}">
+                    <i class="fas ${user.disabled ? 'fa-user-check' : 'fa-user-slash'}"></i>
+                </button>
+                ${isSelf ? '' : `
+                <button class="btn btn-warning btn-small" title="${t('deleteUser')}" data-user-action="delete" data-username="${name}">
+                    <i class="fas fa-trash"></i>
+                </button>`}
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+async function createUser(e) {
+    e.preventDefault();
+    try {
+        await api.createUser({
+            username: document.getElementById('newUsername').value,
+            password: document.getElementById('newUserPassword').value,
+            role: document.getElementById('newUserRole').value
+        });
+        showNotification(t('userCreated'), 'success');
+        document.getElementById('userForm').reset();
+        loadUsers();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function handleUserAction(action, username) {
+    try {
+        if (action === 'reset') {
+            const password = prompt(t('promptTemporaryPassword').replace('{user}', username));
+            if (!password) return;
+            await api.resetPassword(username, password);
+            showNotification(t('passwordReset'), 'success');
+        } else if (action === 'reset-2fa') {
+            if (!confirm(t('confirmResetTwoFactor').replace('{user}', username))) return;
+            await api.resetTwoFactor(username);
+            showNotification(t('twoFactorReset'), 'success');
+        } else if (action === 'delete') {
+            if (!confirm(t('confirmDeleteUser').replace('{user}', username))) return;
+            await api.deleteUser(username);
+            showNotification(t('userDeleted'), 'success');
+        } else {
+            await api.updateUser(username, { disabled: action === 'disable' });
+        }
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadUsers();
+}
+
+async function changeRole(username, role) {
+    try {
+        await api.updateUser(username, { role });
+        // An admin who gave up their own admin role can no longer manage users
+        if (username === currentUser.username && role !== 'admin') return window.location.reload();
+        showNotification(t('roleChanged'), 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+    loadUsers();
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadTranslations();
+    document.getElementById('tokenForm').addEventListener('submit', createToken);
+    document.getElementById('copyTokenBtn').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('newTokenValue').textContent);
+            showNotification(t('tokenCopied'), 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+    loadTokens();
+
+    try {
+        currentUser = await api.getMe();
+    } catch (error) {
+        return showNotification(error.message, 'error');
+    }
+    document.getElementById('twoFactorStatus').textContent = t(currentUser.twoFactorEnabled ? 'twoFactorOn' : 'twoFactorOff');
+    if (currentUser.role === 'admin') {
+        document.getElementById('usersCard').classList.remove('hidden');
+        document.getElementById('userForm').addEventListener('submit', createUser);
+        document.getElementById('requireTwoFactor').addEventListener('change', setRequireTwoFactor);
+        const userList = document.getElementById('userList');
+        userList.addEventListener('click', e => {
+            const button = e.target.closest('[data-user-action]');
+            if (button) handleUserAction(button.dataset.userAction, button.dataset.username);
+        });
+        userList.addEventListener('change', e => {
+            if (e.target.dataset.userRole) changeRole(e.target.dataset.userRole, e.target.value);
+        });
+        loadUsers();
+    }
+});
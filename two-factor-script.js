@@ -0,0 +1,116 @@
+// Two-factor authentication page: setup with a QR code, recovery codes
+
+Object.assign(api, {
+    getStatus: () => api.get('auth/2fa'),
+    startSetup: () => api.post('auth/2fa/setup'),
+    enable: (code) => api.post('auth/2fa/enable', { code }),
+    regenerateRecoveryCodes: (code) => api.post('auth/2fa/recovery-codes', { code }),
+    disable: (code) => api.post('auth/2fa/disable', { code }),
+});
+
+// Only one of the panels is visible at a time
+function showPanel(id) {
+    ['setupStart', 'setupPanel', 'recoveryPanel', 'enabledPanel'].forEach(panel => {
+        document.getElementById(panel).classList.toggle('hidden', panel !== id);
+    });
+}
+
+async function loadStatus() {
+    try {
+        const status = await api.getStatus();
+        // Until the setup is done, the other pages are not reachable
+        const mustEnroll = status.required && !status.enabled;
+        document.getElementById('twoFactorRequiredNotice').classList.toggle('hidden', !mustEnroll);
+        document.getElementById('backLink').classList.toggle('hidden', mustEnroll);
+        document.getElementById('twoFactorStatus').textContent = status.enabled
+            ? t('twoFactorEnabledStatus').replace('{count}', status.recoveryCodesLeft)
+            : t('twoFactorDisabledStatus');
+        document.getElementById('disableTwoFactorBtn').classList.toggle('hidden', status.required);
+        showPanel(status.enabled ? 'enabledPanel' : 'setupStart');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function startSetup() {
+    try {
+        const setup = await api.startSetup();
+        document.getElementById('qrCode').src = setup.qrCode;
+        document.getElementById('secretKey').textContent = setup.secret.replace(/(.{4})/g, '$1 ').trim();
+        document.getElementById('setupCode').value = '';
+        showPanel('setupPanel');
+        document.getElementById('setupCode').focus();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function showRecoveryCodes(codes) {
+    document.getElementById('recoveryCodes').textContent = codes.join('\n');
+    document.getElementById('twoFactorRequiredNotice').classList.add('hidden');
+    showPanel('recoveryPanel');
+}
+
+async function confirmSetup(e) {
+    e.preventDefault();
+    try {
+        const { recoveryCodes } = await api.enable(document.getElementById('setupCode').value);
+        document.getElementById('twoFactorStatus').textContent = t('twoFactorEnabledStatus').replace('{count}', recoveryCodes.length);
+        showNotification(t('twoFactorEnabled'), 'success');
+        showRecoveryCodes(recoveryCodes);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function regenerateRecoveryCodes(e) {
+    e.preventDefault();
+    if (!confirm(t('confirmNewRecoveryCodes'))) return;
+    try {
+        const { recoveryCodes } = await api.regenerateRecoveryCodes(document.getElementById('manageCode').value);
+        showRecoveryCodes(recoveryCodes);
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+async function disableTwoFactor() {
+    const code = document.getElementById('manageCode').value;
+    if (!code) return document.getElementById('manageCode').reportValidity();
+    if (!confirm(t('confirmDisableTwoFactor'))) return;
+    try {
+        await api.disable(code);
+        showNotification(t('twoFactorDisabled'), 'success');
+        document.getElementById('manageCode').value = '';
+        loadStatus();
+    } catch (error) {
+        showNotification(error.message, 'error');
+    }
+}
+
+function downloadRecoveryCodes() {
+    const content = `Gluetun Switcher recovery codes\n\n${document.getElementById('recoveryCodes').textContent}\n`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+    link.download = 'gluetun-switcher-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    await loadTranslations();
+    document.getElementById('startSetupBtn').addEventListener('click', startSetup);
+    document.getElementById('setupPanel').addEventListener('submit', confirmSetup);
+    document.getElementById('enabledPanel').addEventListener('submit', regenerateRecoveryCodes);
+    document.getElementById('disableTwoFactorBtn').addEventListener('click', disableTwoFactor);
+    document.getElementById('downloadCodesBtn').addEventListener('click', downloadRecoveryCodes);
+    document.getElementById('copyCodesBtn').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('recoveryCodes').textContent);
+            showNotification(t('recoveryCodesCopied'), 'success');
+        } catch (error) {
+            showNotification(error.message, 'error');
+        }
+    });
+    loadStatus();
+});
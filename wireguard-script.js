@@ -1,53 +1,51 @@
-// API wrapper to communicate with the backend
-const api = {
-    async _request(method, endpoint, body = null) {
-        try {
-            const options = {
-                method,
-                headers: {}
-            };
-            if (body) {
-                options.headers['Content-Type'] = 'application/json';
-                options.body = JSON.stringify(body);
-            }
-            const response = await fetch(`/api/${endpoint}`, options);
-            if (!response.ok) {
-                const err = await response.json();
-                throw new Error(err.error || `Erreur ${response.status}`);
-            }
-            // Handle responses that do not have a JSON body
-            const contentType = response.headers.get("content-type");
-            if (contentType && contentType.indexOf("application/json") !== -1) {
-                return response.json();
-            }
-            return { success: true }; // For requests like DELETE that return nothing
-        } catch (error) {
-            console.error(`API Error on ${method} /api/${endpoint}:`, error);
-            throw error;
-        }
-    },
-    get(endpoint) { return this._request('GET', endpoint); },
-    post(endpoint, body) { return this._request('POST', endpoint, body); },
-    delete(endpoint) { return this._request('DELETE', endpoint); },
-
-    // Application-specific functions
-    getOperationHistory: () => api.get('operation-history'),
-    saveOperationHistory: (history) => api.post('operation-history', { history }),
+// API calls of the main page, on top of the shared helpers of common-script.js
+Object.assign(api, {
+    getOperationHistory: (query = '') => api.get(`operation-history${query ? `?${query}` : ''}`),
     clearOperationHistory: () => api.delete('operation-history'),
     listWireguardFiles: () => api.get('wireguard-files'),
+    uploadWireguardFiles: (files) => api.post('wireguard-files', { files }),
+    getWireguardFileDetails: (name) => api.get(`wireguard-files/${encodeURIComponent(name)}/details`),
     getCurrentConfigInfo: () => api.get('current-config-info'),
-    activateConfig: (sourcePath) => api.post('activate-config', { sourcePath }),
+    activateConfig: (fileName) => api.post('activate-config', { fileName }),
+    activateLocation: (countryCode, strategy) => api.post('activate-location', { countryCode, strategy }),
+    getServerSelection: () => api.get('server-selection'),
+    getProbes: () => api.get('probes'),
+    runProbes: () => api.post('probes/run'),
+    getActivationStatus: () => api.get('activation-status'),
     getLocations: () => api.get('locations'),
     getMapConfig: () => api.get('config/map'),
-};
+    getSchedules: () => api.get('schedules'),
+    createSchedule: (schedule) => api.post('schedules', schedule),
+    updateSchedule: (id, changes) => api.put(`schedules/${id}`, changes),
+    deleteSchedule: (id) => api.delete(`schedules/${id}`),
+    runSchedule: (id) => api.post(`schedules/${id}/run`),
+    getLocationsOverview: () => api.get('locations/overview'),
+    createLocation: (location) => api.post('locations', location),
+    updateLocation: (code, location) => api.put(`locations/${encodeURIComponent(code)}`, location),
+    deleteLocation: (code) => api.delete(`locations/${encodeURIComponent(code)}`),
+    getNotificationTargets: () => api.get('notifications'),
+    createNotificationTarget: (target) => api.post('notifications', target),
+    updateNotificationTarget: (id, target) => api.put(`notifications/${encodeURIComponent(id)}`, target),
+    deleteNotificationTarget: (id) => api.delete(`notifications/${encodeURIComponent(id)}`),
+    testNotificationTarget: (id) => api.post(`notifications/${encodeURIComponent(id)}/test`),
+    getPublicIpInfo: (refresh = false) => api.get(`geolocation${refresh ? '?refresh=true' : ''}`),
+});
 
 
 // Global variables
 let selectedFile = null;
 let wireguardFiles = [];
 let operationHistory = [];
-let translations = {};
+let historyPage = 1;
 let locationData = {};
+let configInspections = {}; // Validation result and details per file name
+let locationEntriesData = []; // Entries of locations.json with their matching files
+let notificationTargets = []; // Secrets come back masked
+let probeResults = {}; // Endpoint reachability per file name
+let sortByLatency = false;
+let eventStreamConnected = false; // Live activation progress from /api/events
+let currentActivationId = null;
+let currentRole = null; // admin, operator or viewer; controls above the role are hidden
 let mapConfig = {};
 let currentIpInfo = null; // Store current IP information
 let lastKnownIp = null; // Store last known IP to detect changes
@@ -55,42 +53,34 @@ let isWaitingForIpChange = false; // Flag to indicate we're waiting for IP chang
 
 // DOM Elements
 const refreshBtn = document.getElementById('refreshBtn');
+const probeBtn = document.getElementById('probeBtn');
+const sortLatencyBtn = document.getElementById('sortLatencyBtn');
 const fileList = document.getElementById('fileList');
 const activateBtn = document.getElementById('activateBtn');
 const resetBtn = document.getElementById('resetBtn');
 const currentConfig = document.getElementById('currentConfig');
 
 const operationHistoryContainer = document.getElementById('operationHistory');
-const notificationsContainer = document.getElementById('notifications');
 const clearHistoryBtn = document.getElementById('clearHistoryBtn'); // New button
+const scheduleList = document.getElementById('scheduleList');
+const dropZone = document.getElementById('dropZone');
+const uploadInput = document.getElementById('uploadInput');
+const scheduleForm = document.getElementById('scheduleForm');
+const activateLocationBtn = document.getElementById('activateLocationBtn');
+const locationEntries = document.getElementById('locationEntries');
+const locationForm = document.getElementById('locationForm');
+const notificationForm = document.getElementById('notificationForm');
 
 const confirmModal = document.getElementById('confirmModal');
 const confirmMessage = document.getElementById('confirmMessage');
 const confirmYes = document.getElementById('confirmYes');
 const confirmNo = document.getElementById('confirmNo');
 const modalClose = document.querySelector('.modal-close');
- 
-// Initialization
-async function loadTranslations() {
-    const lang = navigator.language.startsWith('fr') ? 'fr' : 'en';
-    document.documentElement.lang = lang;
-    try {
-        const response = await fetch(`locales/${lang}.json`);
-        translations = await response.json();
-        applyTranslations();
-    } catch (error) {
-        console.error('Could not load translations:', error);
-        throw error; // Re-throw to stop initialization
-    }
-}
 
-function applyTranslations() {
-    document.querySelectorAll('[data-i18n]').forEach(el => {
-        const key = el.getAttribute('data-i18n');
-        if (translations[key]) {
-            el.textContent = translations[key];
-        }
-    });
+// The page cannot work without its texts, unlike the smaller pages
+async function loadRequiredTranslations() {
+    await loadTranslations();
+    if (Object.keys(translations).length === 0) throw new Error('Could not load translations');
 }
 
 // Initialization
@@ -98,17 +88,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
         // Load critical data first. If this fails, the app can't start.
         await Promise.all([
-            loadTranslations(),
+            loadRequiredTranslations(),
             loadLocations(),
-            loadMapConfig()
+            loadMapConfig(),
+            loadCurrentRole()
         ]);
 
         // Initialize the rest of the app
         initializeEventListeners();
-        operationHistory = await api.getOperationHistory();
-        updateHistoryDisplay();
+        loadHistory();
         loadWireguardFiles();
         checkCurrentConfig();
+        loadSchedules();
+        loadDefaultStrategy();
+        if (currentRole === 'admin') loadNotificationTargets();
+        connectEventStream();
 
     } catch (error) {
         console.error('Application initialization failed:', error);
@@ -132,6 +126,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
+// Elements marked with data-min-role="operator|admin" are hidden by styles.css
+// below that role; the server enforces the same rules on every API route
+async function loadCurrentRole() {
+    const result = await api.getMe();
+    currentRole = result.role;
+    document.body.dataset.role = currentRole;
+}
+
 async function loadLocations() {
     try {
         const result = await api.getLocations();
@@ -165,6 +167,19 @@ async function loadMapConfig() {
 // Event Handlers
 function initializeEventListeners() {
     refreshBtn.addEventListener('click', loadWireguardFiles);
+    probeBtn.addEventListener('click', runEndpointProbes);
+    sortLatencyBtn.addEventListener('click', () => {
+        sortByLatency = !sortByLatency;
+        sortLatencyBtn.setAttribute('aria-pressed', String(sortByLatency));
+        sortLatencyBtn.classList.toggle('btn-primary', sortByLatency);
+        sortLatencyBtn.classList.toggle('btn-secondary', !sortByLatency);
+        displayFileList();
+    });
+    // File names come from the disk, so they are never put in inline handlers
+    fileList.addEventListener('click', (e) => {
+        const item = e.target.closest('.file-item:not(.disabled)');
+        if (item) selectFile(item.dataset.file);
+    });
     activateBtn.addEventListener('click', showConfirmationModal);
     resetBtn.addEventListener('click', resetSelection);
 
@@ -172,6 +187,49 @@ function initializeEventListeners() {
     if (clearHistoryBtn) {
         clearHistoryBtn.addEventListener('click', clearOperationHistory);
     }
+    ['historyType', 'historyLocation', 'historySince', 'historyUntil'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => loadHistory(1));
+    });
+    document.getElementById('historyPrevBtn').addEventListener('click', () => loadHistory(historyPage - 1));
+    document.getElementById('historyNextBtn').addEventListener('click', () => loadHistory(historyPage + 1));
+
+    if (scheduleForm) {
+        scheduleForm.addEventListener('submit', createSchedule);
+    }
+
+    if (activateLocationBtn) {
+        activateLocationBtn.addEventListener('click', activateLocation);
+    }
+
+    if (locationForm) {
+        locationForm.addEventListener('submit', saveLocation);
+        document.getElementById('cancelLocationEdit').addEventListener('click', resetLocationForm);
+    }
+
+    if (notificationForm) {
+        notificationForm.addEventListener('submit', saveNotificationTarget);
+        document.getElementById('notifyType').addEventListener('change', updateNotifyFields);
+        document.getElementById('cancelNotifyEdit').addEventListener('click', resetNotificationForm);
+    }
+
+    // Configuration upload (click or drag and drop)
+    if (dropZone && uploadInput) {
+        dropZone.addEventListener('click', () => uploadInput.click());
+        uploadInput.addEventListener('change', () => {
+            uploadConfigFiles(uploadInput.files);
+            uploadInput.value = '';
+        });
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            uploadConfigFiles(e.dataTransfer.files);
+        });
+    }
 
     // Modal events
     confirmYes.addEventListener('click', executeActivation);
@@ -205,8 +263,8 @@ function initializeEventListeners() {
 
         if (!content || !toggleButton || !toggleIcon) return;
 
-        // Collapse history by default
-        if (contentId === 'historyContent') {
+        // Collapse history and notifications by default
+        if (contentId === 'historyContent' || contentId === 'notificationsContent') {
             content.classList.add('collapsed');
             toggleIcon.classList.add('rotated');
         }
@@ -245,10 +303,17 @@ async function loadWireguardFiles() {
         
         // We now primarily use the enriched locations endpoint
         await loadLocations();
-        wireguardFiles = locationData; // The location data is now our source of truth
+        // One entry per matching file; locations without any file are listed as unavailable
+        wireguardFiles = locationData.flatMap(location => location.files.length > 0
+            ? location.files.map(fileName => ({ ...location, fileName }))
+            : [{ ...location, fileName: null }]);
+        await Promise.all([loadConfigInspections(), loadProbes()]);
         displayFileList();
+        updateScheduleConfigOptions();
+        updateLocationOptions();
+        loadLocationEntries();
         
-        const availableCount = locationData.filter(loc => loc.isAvailable).length;
+        const availableCount = wireguardFiles.filter(file => file.isAvailable).length;
         showNotification(translations.configsFound.replace('{count}', availableCount), 'success');
         
     } catch (error) {
@@ -265,6 +330,64 @@ async function loadWireguardFiles() {
     }
 }
 
+// Validation results and details of each file, shown in the list
+async function loadConfigInspections() {
+    try {
+        const result = await api.listWireguardFiles();
+        configInspections = {};
+        result.files.forEach(file => {
+            configInspections[file.name] = file;
+        });
+    } catch (error) {
+        console.error('Could not load configuration details:', error);
+    }
+}
+
+async function loadProbes() {
+    try {
+        const result = await api.getProbes();
+        probeResults = result.probes;
+    } catch (error) {
+        console.error('Could not load endpoint probes:', error);
+    }
+}
+
+async function runEndpointProbes() {
+    probeBtn.disabled = true;
+    try {
+        const result = await api.runProbes();
+        probeResults = result.probes;
+        displayFileList();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    } finally {
+        probeBtn.disabled = false;
+    }
+}
+
+// Reachable endpoints first, fastest first
+function getProbeRank(fileName) {
+    const probe = fileName ? probeResults[fileName] : null;
+    const unreachable = Number.MAX_SAFE_INTEGER;
+    if (!probe || !['up', 'unknown'].includes(probe.status)) return unreachable;
+    return typeof probe.latencyMs === 'number' ? probe.latencyMs : unreachable - 1;
+}
+
+function getProbeBadge(fileName) {
+    const probe = fileName ? probeResults[fileName] : null;
+    if (!probe) return '';
+    const checkedAt = formatTimestamp(new Date(probe.checkedAt));
+    const title = escapeHtml(`${probe.host ? `${probe.address || probe.host}:${probe.port} (${probe.method})` : ''} ${probe.error || ''} - ${checkedAt}`.trim());
+    if (probe.status === 'up') {
+        const text = typeof probe.latencyMs === 'number' ? `${probe.latencyMs} ms` : translations.endpointReachable;
+        return `<span class="status-badge status-available" title="${title}">${text}</span>`;
+    }
+    if (probe.status === 'unknown') {
+        return `<span class="status-badge status-current" title="${title}">${translations.endpointUnknown}</span>`;
+    }
+    return `<span class="status-badge status-unavailable" title="${title}">${translations.endpointUnreachable}</span>`;
+}
+
 // Displaying the file list
 function displayFileList() {
     if (wireguardFiles.length === 0) {
@@ -278,42 +401,91 @@ function displayFileList() {
         return;
     }
     
-    fileList.innerHTML = wireguardFiles.map(location => {
-        const { countryCode, countryNameKey, keywords, isAvailable, fileName } = location;
+    const files = sortByLatency
+        ? [...wireguardFiles].sort((a, b) => getProbeRank(a.fileName) - getProbeRank(b.fileName))
+        : wireguardFiles;
+
+    fileList.innerHTML = files.map(location => {
+        const { countryCode, countryNameKey, isAvailable, fileName } = location;
         const countryName = translations[countryNameKey] || countryNameKey;
-        const city = keywords.length > 1 ? keywords[keywords.length - 1] : '';
-        const locationString = city ? `${countryName}, ${city.charAt(0).toUpperCase() + city.slice(1)}` : countryName;
-        const flag = `<img src="config/flags/${countryCode}.svg" class="country-flag" alt="${countryName}" title="${countryName}">`;
-        const statusClass = isAvailable ? 'status-available' : 'status-unavailable';
-        const statusText = isAvailable ? translations.available : translations.unavailable;
-        const clickHandler = isAvailable ? `onclick="selectFile('${fileName}')"` : '';
-        const itemClass = isAvailable ? 'file-item' : 'file-item disabled';
+        const city = locationMatcher.getDisplayCity(location);
+        const locationString = escapeHtml(city ? `${countryName}, ${city}` : countryName);
+        const flag = `<img src="config/flags/${location.flag || countryCode}.svg" class="country-flag" alt="${countryName}" title="${countryName}">`;
+        const inspection = isAvailable ? configInspections[fileName] : null;
+        const isValid = !inspection || inspection.valid;
+        const statusClass = isAvailable && isValid ? 'status-available' : 'status-unavailable';
+        const statusText = !isAvailable ? translations.unavailable : isValid ? translations.available : translations.invalidConfig;
+        const itemClass = isAvailable && isValid ? 'file-item' : 'file-item disabled';
+
+        let endpointText = '';
+        let extraBadges = '';
+        if (inspection) {
+            const { details } = inspection;
+            if (details && details.endpointHost) {
+                endpointText = ` - ${escapeHtml(details.endpointHost)}:${escapeHtml(details.endpointPort)}`;
+            }
+            if (!inspection.valid) {
+                extraBadges = `<span class="status-badge status-unavailable" title="${escapeHtml(inspection.errors.join('\n'))}">${translations.configErrors.replace('{count}', inspection.errors.length)}</span>`;
+            } else if (inspection.warnings.length > 0) {
+                extraBadges = `<span class="status-badge status-current" title="${escapeHtml(inspection.warnings.join('\n'))}">${translations.configWarnings.replace('{count}', inspection.warnings.length)}</span>`;
+            }
+        }
 
         return `
-        <div class="${itemClass}" data-file="${fileName || countryCode}" ${clickHandler}>
+        <div class="${itemClass}" data-file="${escapeHtml(fileName || countryCode)}">
             <div class="file-info">
                 <div class="file-icon">
                     <i class="fas fa-shield-alt"></i>
                 </div>
                 <div class="file-details">
-                    <h4>${flag} ${fileName || countryName}</h4>
-                    <p>${locationString}</p>
+                    <h4>${flag} ${escapeHtml(fileName || countryName)}</h4>
+                    <p>${locationString}${endpointText}</p>
                 </div>
             </div>
             <div class="file-status">
                 <span class="status-badge ${statusClass}">${statusText}</span>
+                ${extraBadges}
+                ${isAvailable ? getProbeBadge(fileName) : ''}
             </div>
         </div>
     `}).join('');
 }
 
+// Uploading WireGuard files
+async function uploadConfigFiles(fileListToUpload) {
+    const selected = Array.from(fileListToUpload || []);
+    if (selected.length === 0) return;
+
+    try {
+        const files = await Promise.all(selected.map(async file => ({
+            name: file.name,
+            content: await file.text()
+        })));
+        const result = await api.uploadWireguardFiles(files);
+
+        result.results.forEach(r => {
+            if (r.status === 'error') {
+                showNotification(translations.uploadError.replace('{fileName}', r.name).replace('{error}', r.error), 'error');
+            } else if (r.status === 'renamed') {
+                showNotification(translations.uploadRenamed.replace('{fileName}', r.name).replace('{savedAs}', r.savedAs), 'success');
+            } else {
+                showNotification(translations.uploadSuccess.replace('{fileName}', r.savedAs), 'success');
+            }
+        });
+
+        await loadWireguardFiles();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
 // Selecting a file
 function selectFile(fileName) {
     document.querySelectorAll('.file-item').forEach(item => {
         item.classList.remove('selected');
     });
     
-    const fileItem = document.querySelector(`[data-file="${fileName}"]`);
+    const fileItem = fileList.querySelector(`[data-file="${CSS.escape(fileName)}"]`);
     if (fileItem) {
         fileItem.classList.add('selected');
         selectedFile = wireguardFiles.find(f => f.fileName === fileName);
@@ -322,60 +494,26 @@ function selectFile(fileName) {
     }
 }
 
-// Function to get current IP from any working API
-async function getCurrentIpOnly() {
-    // Try primary API first
-    try {
-        const response = await fetch('http://192.168.0.242:8000/v1/publicip/ip', {
-            signal: AbortSignal.timeout(3000)
-        });
-        if (response.ok) {
-            const data = await response.json();
-            return data.ip || null;
-        }
-    } catch (error) {
-        // Silent fail, try next API
-    }
-    
-    // Try geolocation API
-    try {
-        if (mapConfig && mapConfig.geolocationApiUrl) {
-            const response = await fetch(mapConfig.geolocationApiUrl, {
-                signal: AbortSignal.timeout(3000)
-            });
-            if (response.ok) {
-                const data = await response.json();
-                return data.public_ip || data.ip || null;
-            }
-        }
-    } catch (error) {
-        // Silent fail
-    }
-    
-    return null;
-}
-
-// Function to wait for IP change after VPN switch
-async function waitForIpChange(expectedOldIp, maxWaitTime = 30000) {
-    console.log(`DEBUG: Waiting for IP to change from ${expectedOldIp}...`);
-    
+// Wait for the server-side verification of the last activation to finish
+async function waitForIpChange(maxWaitTime = 120000) {
     const startTime = Date.now();
     const checkInterval = 2000; // Check every 2 seconds
     
     while (Date.now() - startTime < maxWaitTime) {
-        const currentIp = await getCurrentIpOnly();
-        console.log(`DEBUG: Current IP check: ${currentIp} (waiting for change from ${expectedOldIp})`);
-        
-        if (currentIp && currentIp !== expectedOldIp) {
-            console.log(`DEBUG: IP changed from ${expectedOldIp} to ${currentIp}!`);
-            return true;
+        try {
+            const { activation } = await api.getActivationStatus();
+            const verification = activation && activation.verification;
+            if (verification && verification.status !== 'pending') {
+                return verification.status === 'success';
+            }
+        } catch (error) {
+            // Silent fail, retry on next tick
         }
         
         // Wait before next check
         await new Promise(resolve => setTimeout(resolve, checkInterval));
     }
     
-    console.log(`DEBUG: Timeout waiting for IP change after ${maxWaitTime}ms`);
     return false;
 }
 
@@ -384,12 +522,12 @@ async function fetchIpInfo(waitForChange = false) {
     console.log('DEBUG: Starting fetchIpInfo(), waitForChange:', waitForChange);
     
     // If we're waiting for a change, do the smart waiting first
-    if (waitForChange && lastKnownIp) {
+    if (waitForChange) {
         console.log(`DEBUG: Waiting for IP to change from last known IP: ${lastKnownIp}`);
         isWaitingForIpChange = true;
         
         // Wait for IP to change
-        const ipChanged = await waitForIpChange(lastKnownIp, 30000);
+        const ipChanged = await waitForIpChange();
         
         if (!ipChanged) {
             console.log('DEBUG: IP did not change within timeout, proceeding anyway');
@@ -398,72 +536,25 @@ async function fetchIpInfo(waitForChange = false) {
         isWaitingForIpChange = false;
     }
     
-    // Try the primary API first
+    // The backend reads and normalizes the Gluetun public IP data
     try {
-        console.log('DEBUG: Trying primary API: http://192.168.0.242:8000/v1/publicip/ip');
-        
-        const response = await fetch('http://192.168.0.242:8000/v1/publicip/ip', {
-            signal: AbortSignal.timeout(8000)
-        });
+        const data = await api.getPublicIpInfo(waitForChange);
         
-        if (response.ok) {
-            const data = await response.json();
-            console.log('DEBUG: Primary API response:', data);
-            
-            if (data && data.ip) {
-                lastKnownIp = data.ip; // Store for future change detection
-                currentIpInfo = data;
-                console.log('DEBUG: Successfully got IP info from primary API:', data);
-                return data;
-            }
-        } else {
-            console.log('DEBUG: Primary API response not OK:', response.status);
-        }
-    } catch (error) {
-        console.error('DEBUG: Error with primary API:', error.message);
-    }
-    
-    // Use geolocation API as fallback
-    try {
-        console.log('DEBUG: Primary API failed, trying geolocation API as fallback');
-        if (mapConfig && mapConfig.geolocationApiUrl) {
-            const response = await fetch(mapConfig.geolocationApiUrl);
-            if (response.ok) {
-                const data = await response.json();
-                console.log('DEBUG: Geolocation API data:', data);
-                
-                // Parse coordinates from location string "47.366829,8.549790"
-                let lat = null, lon = null;
-                if (data.location && typeof data.location === 'string') {
-                    const coords = data.location.split(',');
-                    if (coords.length === 2) {
-                        lat = parseFloat(coords[0]);
-                        lon = parseFloat(coords[1]);
-                    }
-                }
-                
-                const ipFromGeoApi = data.public_ip || data.ip;
-                if (ipFromGeoApi) {
-                    lastKnownIp = ipFromGeoApi; // Store for future change detection
-                }
-                
-                // Use data from geolocation API properly
-                currentIpInfo = {
-                    ip: ipFromGeoApi || 'Non disponible',
-                    timezone: data.timezone || 'Non disponible',
-                    location: data.location,
-                    latitude: lat || data.latitude || data.lat,
-                    longitude: lon || data.longitude || data.lon || data.lng,
-                    country: data.country || data.country_name || 'Non disponible',
-                    city: data.city || 'Non disponible'
-                };
-                
-                console.log('DEBUG: Using geolocation API data:', currentIpInfo);
-                return currentIpInfo;
-            }
+        if (data.ip) {
+            lastKnownIp = data.ip; // Store for future change detection
         }
+        
+        currentIpInfo = {
+            ip: data.ip || 'Non disponible',
+            timezone: data.timezone || 'Non disponible',
+            latitude: data.latitude,
+            longitude: data.longitude,
+            country: data.country || 'Non disponible',
+            city: data.city || 'Non disponible'
+        };
+        return currentIpInfo;
     } catch (error) {
-        console.error('DEBUG: Geolocation API error:', error);
+        console.error('Could not load the public IP information:', error);
     }
     
     // Last resort: provide default values
@@ -471,7 +562,6 @@ async function fetchIpInfo(waitForChange = false) {
     currentIpInfo = {
         ip: 'Non disponible',
         timezone: 'Non disponible',
-        location: null,
         latitude: null,
         longitude: null,
         country: 'Non disponible',
@@ -597,27 +687,9 @@ async function initCurrentMap(locationInfo) {
 
         console.log('DEBUG: Using stored IP data:', data);
 
-        // Parse coordinates from location string format "47.498249,19.039780"
-        let lat = null, lon = null;
-        
-        if (data.location && typeof data.location === 'string') {
-            console.log('DEBUG: Found location string:', data.location);
-            const coords = data.location.split(',');
-            console.log('DEBUG: Split coords:', coords);
-            if (coords.length === 2) {
-                lat = parseFloat(coords[0]);
-                lon = parseFloat(coords[1]);
-                console.log('DEBUG: Parsed coordinates:', lat, lon);
-            }
-        }
-        
-        // Fallback to common property names if location string format not available
-        if (lat === null || lon === null) {
-            console.log('DEBUG: Using fallback coordinates from:', data);
-            lat = data.latitude ?? data.lat ?? null;
-            lon = data.longitude ?? data.lon ?? data.lng ?? null;
-            console.log('DEBUG: Fallback coordinates:', lat, lon);
-        }
+        // Coordinates are normalized by the backend
+        const lat = data.latitude ?? null;
+        const lon = data.longitude ?? null;
 
         if (lat == null || lon == null) {
             console.log('DEBUG: No valid coordinates found');
@@ -685,15 +757,34 @@ function resetSelection() {
 }
 
 // Displaying the confirmation modal
-function showConfirmationModal() {
+async function showConfirmationModal() {
     if (!selectedFile) return;
     
     const location = getLocationInfo(selectedFile.fileName);
     const locationString = location.city ? `${location.name}, ${location.city}` : location.name;
+
+    let detailsHTML = '';
+    try {
+        const { details, warnings } = await api.getWireguardFileDetails(selectedFile.fileName);
+        detailsHTML = `
+            <div class="config-details">
+                <div><strong>${translations.endpoint}</strong> ${escapeHtml(details.endpointHost)}:${escapeHtml(details.endpointPort)}</div>
+                <div><strong>${translations.addresses}</strong> ${escapeHtml(details.addresses.join(', '))}</div>
+                <div><strong>DNS:</strong> ${escapeHtml(details.dns.join(', ') || '-')}</div>
+                <div><strong>MTU:</strong> ${escapeHtml(details.mtu || '-')}</div>
+                <div><strong>${translations.peerKey}</strong> <code>${escapeHtml(details.peerKeyFingerprint)}</code></div>
+                ${warnings.map(w => `<div class="config-warning"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(w)}</div>`).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Could not load configuration details:', error);
+    }
+
     confirmMessage.innerHTML = `
         <strong>${translations.activateConfigTitle}</strong><br><br>
-        <strong>${translations.fileSelected}</strong> ${location.flag} ${selectedFile.fileName} (${locationString})<br>
-        <strong>${translations.action}</strong> ${translations.activateThisConfig}<br><br>
+        <strong>${translations.fileSelected}</strong> ${location.flag} ${escapeHtml(selectedFile.fileName)} (${escapeHtml(locationString)})<br>
+        <strong>${translations.action}</strong> ${translations.activateThisConfig}<br>
+        ${detailsHTML}<br>
         ${translations.thisActionWillActivate}
     `;
     
@@ -713,7 +804,7 @@ async function executeActivation() {
     try {
         showNotification(translations.activationInProgress, 'info');
         
-        const result = await api.activateConfig(selectedFile.fullPath);
+        const result = await api.activateConfig(selectedFile.fileName);
         
         if (result.success) {
             const locationInfo = getLocationInfo(result.activated.sourceName);
@@ -730,29 +821,105 @@ async function executeActivation() {
             });
 
             showNotification(message, 'success');
-            addToHistory({
-                type: 'success',
-                message: message,
-                timestamp: new Date()
-            });
-            
             resetSelection();
             loadWireguardFiles();
             
-            // Wait for IP change before updating the current config display
-            showNotification('Attente du changement d\'IP...', 'info');
-            setTimeout(async () => {
-                await checkCurrentConfigWithIpWait();
-            }, 2000); // Wait 2 seconds for VPN to stabilize first
+            followActivation();
 
         } else {
             showNotification(result.error, 'error');
-            addToHistory({ type: 'error', message: result.error, timestamp: new Date() });
         }
     } catch (error) {
-        const errorMessage = `${translations.unexpectedError}: ${error.message}`;
-        showNotification(errorMessage, 'error');
-        addToHistory({ type: 'error', message: errorMessage, timestamp: new Date() });
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+    // The server records the activation in the history
+    loadHistory(1);
+}
+
+// Live activation progress. Every open tab receives the steps of every
+// activation, including scheduled and failover ones.
+function connectEventStream() {
+    if (!window.EventSource) return;
+    const source = new EventSource('/api/events');
+    source.addEventListener('open', () => { eventStreamConnected = true; });
+    source.addEventListener('error', () => { eventStreamConnected = false; }); // EventSource reconnects by itself
+    source.addEventListener('activation', (e) => handleActivationProgress(JSON.parse(e.data)));
+}
+
+// Without the event stream, poll until the server-side IP verification is done
+function followActivation() {
+    if (eventStreamConnected) return;
+    showNotification(translations.waitingForIpChange, 'info');
+    setTimeout(async () => {
+        await checkCurrentConfigWithIpWait();
+    }, 2000); // Wait 2 seconds for VPN to stabilize first
+}
+
+// The result is HTML: values from the server (Docker errors, config names)
+// are escaped before they go into the translated text
+function getProgressText(progress) {
+    const replace = (key, values = {}) => Object.entries(values)
+        .reduce((text, [name, value]) => text.replace(`{${name}}`, () => escapeHtml(value)), translations[key] || key);
+    const seconds = progress.durationMs !== undefined ? (progress.durationMs / 1000).toFixed(1) : '?';
+
+    switch (progress.step) {
+    case 'copied':
+        return replace('progressCopied');
+    case 'restart': {
+        const prefix = progress.phase === 'rollback' ? `${translations.progressRollbackPrefix} ` : '';
+        const keys = { running: 'progressRestartRunning', success: 'progressRestartSuccess', error: 'progressRestartError', skipped: 'progressRestartSkipped' };
+        return prefix + replace(keys[progress.status], { containerName: progress.containerName, seconds, error: progress.message });
+    }
+    case 'tunnel': {
+        const keys = { running: 'progressTunnelRunning', success: 'progressTunnelSuccess', error: 'progressTunnelError', skipped: 'progressTunnelSkipped' };
+        return replace(keys[progress.status], { state: progress.state });
+    }
+    case 'rollback': {
+        const keys = { running: 'progressRollbackRunning', success: 'progressRollbackSuccess', error: 'progressRollbackError' };
+        return replace(keys[progress.status], { error: progress.error });
+    }
+    case 'finished':
+        return progress.status === 'success' ? replace('progressFinishedSuccess') : replace('progressFinishedError', { error: progress.error });
+    case 'verification': {
+        const keys = { running: 'progressVerificationRunning', success: 'progressVerificationSuccess', error: 'progressVerificationError' };
+        return replace(keys[progress.status], { ip: progress.newIp });
+    }
+    default:
+        return escapeHtml(progress.step);
+    }
+}
+
+async function handleActivationProgress(progress) {
+    const panel = document.getElementById('activationProgress');
+    const steps = document.getElementById('activationSteps');
+    if (!panel) return;
+
+    if (progress.activationId !== currentActivationId) {
+        currentActivationId = progress.activationId;
+        steps.innerHTML = '';
+        document.getElementById('activationProgressTitle').textContent = translations.progressTitle.replace('{fileName}', progress.sourceName);
+        panel.classList.remove('hidden');
+    }
+    if (progress.step === 'started') return;
+
+    // A step is updated in place when it finishes (e.g. a restart going from running to success)
+    const key = [progress.step, progress.phase, progress.containerName].filter(Boolean).join('-');
+    let item = steps.querySelector(`[data-step="${key}"]`);
+    if (!item) {
+        item = document.createElement('li');
+        item.dataset.step = key;
+        steps.appendChild(item);
+    }
+    const icons = { running: 'fa-spinner fa-spin', success: 'fa-check', error: 'fa-times', skipped: 'fa-forward' };
+    item.className = `step-${progress.status}`;
+    item.innerHTML = `<i class="fas ${icons[progress.status] || 'fa-circle'}"></i>${getProgressText(progress)}`;
+
+    if (progress.step === 'finished') {
+        loadHistory();
+        if (progress.status !== 'success') checkCurrentConfig();
+    }
+    if (progress.step === 'verification' && progress.status !== 'running') {
+        checkCurrentConfig();
     }
 }
 
@@ -849,66 +1016,88 @@ async function checkCurrentConfigWithIpWait() {
     }
 }
 
-// Adding to the operation history
-async function addToHistory(operation) {
-    operationHistory.unshift(operation);
-    
-    if (operationHistory.length > 20) {
-        operationHistory = operationHistory.slice(0, 20);
+// The current filters as query parameters, shared by the list and the export links
+function getHistoryQuery() {
+    const params = new URLSearchParams();
+    const filters = {
+        type: document.getElementById('historyType').value,
+        location: document.getElementById('historyLocation').value,
+        since: document.getElementById('historySince').value,
+        until: document.getElementById('historyUntil').value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    return params;
+}
+
+// The operation history is recorded by the server; this only reads it
+async function loadHistory(page = historyPage) {
+    const params = getHistoryQuery();
+    document.getElementById('exportCsvLink').href = `/api/operation-history/export?${params}&format=csv`;
+    document.getElementById('exportJsonLink').href = `/api/operation-history/export?${params}&format=json`;
+    params.set('page', page);
+    try {
+        const result = await api.getOperationHistory(params.toString());
+        operationHistory = result.entries;
+        historyPage = result.page;
+        updateHistoryDisplay(result);
+    } catch (error) {
+        showNotification(`${translations.errorLoadingHistory}: ${error.message}`, 'error');
     }
-    
-    updateHistoryDisplay();
-    await api.saveOperationHistory(operationHistory);
+}
+
+function describeHistoryEntry(entry) {
+    const fill = (text) => (text || entry.message || '')
+        .replace('{actor}', entry.actor || '-')
+        .replace('{from}', entry.from || '-')
+        .replace('{to}', entry.to || '-')
+        .replace('{ip}', entry.ip || '-')
+        .replace('{error}', entry.error || '');
+    switch (entry.type) {
+    case 'activation': return fill(translations.historyActivation);
+    case 'rollback': return fill(translations.historyRollback);
+    case 'failure': return fill(entry.to ? translations.historyFailure : translations.historyFailureNoConfig);
+    case 'login': return fill(translations.historyLogin);
+    case 'login_failed': return fill(translations.historyLoginFailed);
+    default: return entry.message || '';
+    }
+}
+
+function getHistoryDetails(entry) {
+    const triggerKeys = { manual: 'triggerManual', schedule: 'triggerSchedule', failover: 'triggerFailover', location: 'triggerLocation', mqtt: 'triggerMqtt' };
+    const details = [];
+    if (entry.trigger) details.push(translations[triggerKeys[entry.trigger]] || entry.trigger);
+    if (entry.location) details.push(entry.location.toUpperCase());
+    if (entry.reason) details.push(entry.reason);
+    if (typeof entry.durationMs === 'number') details.push(`${(entry.durationMs / 1000).toFixed(1)} s`);
+    if (entry.oldIp || entry.newIp) details.push(`IP ${entry.oldIp || '?'} → ${entry.newIp || '?'}`);
+    (entry.restarts || []).forEach(r => details.push(`${r.containerName}: ${r.status}`));
+    return details;
 }
 
 // Updating the history display
-function updateHistoryDisplay() {
-    const noOperationsMsg = operationHistoryContainer.querySelector('.no-operations');
-    
+function updateHistoryDisplay({ total = operationHistory.length, page = 1, pages = 1 } = {}) {
+    document.getElementById('historyPageInfo').textContent = translations.historyPage
+        .replace('{page}', page).replace('{pages}', pages).replace('{total}', total);
+    document.getElementById('historyPrevBtn').disabled = page <= 1;
+    document.getElementById('historyNextBtn').disabled = page >= pages;
+
     if (operationHistory.length === 0) {
-        if (!noOperationsMsg) {
-            operationHistoryContainer.innerHTML = `<p class="no-operations">${translations.noOperation}</p>`;
-        }
+        operationHistoryContainer.innerHTML = `<p class="no-operations">${translations.noOperation}</p>`;
         return;
     }
-    
-    if (noOperationsMsg) {
-        noOperationsMsg.remove();
-    }
-    
-    operationHistoryContainer.innerHTML = operationHistory.map(op => `
-        <div class="operation-item ${op.type}">
-            <div class="operation-time">${formatTimestamp(new Date(op.timestamp))}</div>
-            <div class="operation-message">${op.message}</div>
-        </div>
-    `).join('');
-}
 
-// Displaying notifications
-function showNotification(message, type = 'info') {
-    const notification = document.createElement('div');
-    notification.className = `notification ${type}`;
-    
-    const icon = type === 'success' ? 'fas fa-check-circle' :
-                type === 'error' ? 'fas fa-exclamation-circle' :
-                'fas fa-info-circle';
-    
-    notification.innerHTML = `
-        <i class="${icon}"></i>
-        <span>${message}</span>
+    operationHistoryContainer.innerHTML = operationHistory.map(entry => {
+        const details = getHistoryDetails(entry);
+        return `
+        <div class="operation-item ${entry.outcome === 'error' ? 'error' : 'success'}">
+            <div class="operation-time">${formatTimestamp(new Date(entry.timestamp))}</div>
+            <div class="operation-message">${escapeHtml(describeHistoryEntry(entry))}</div>
+            ${details.length > 0 ? `<div class="operation-details">${escapeHtml(details.join(' · '))}</div>` : ''}
+        </div>
     `;
-    
-    notificationsContainer.appendChild(notification);
-    
-    setTimeout(() => {
-        if (notification.parentNode) {
-            notification.remove();
-        }
-    }, 5000);
-    
-    notification.addEventListener('click', () => {
-        notification.remove();
-    });
+    }).join('');
 }
 
 // Utility functions
@@ -921,13 +1110,6 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-function formatTimestamp(date) {
-    const lang = document.documentElement.lang === 'fr' ? 'fr-FR' : 'en-GB';
-    return new Intl.DateTimeFormat(lang, {
-        day: '2-digit', month: '2-digit', year: 'numeric',
-        hour: '2-digit', minute: '2-digit', second: '2-digit'
-    }).format(date);
-}
 function getLocationInfo(fileName) {
     const defaultLocation = {
         flag: `<i class="fas fa-globe country-flag" title="${translations.unknown || 'Unknown'}"></i>`,
@@ -941,46 +1123,23 @@ function getLocationInfo(fileName) {
 
     const name = fileName.toLowerCase();
 
-    // 1. Build a flat list of keywords with their associated location data
-    const allKeywords = [];
-    if (Array.isArray(locationData)) {
-        for (const location of locationData) {
-            if (location.keywords && location.countryCode) {
-                const displayCity = location.keywords[location.keywords.length - 1];
-                for (const keyword of location.keywords) {
-                    allKeywords.push({
-                        keyword,
-                        countryCode: location.countryCode,
-                        countryNameKey: location.countryNameKey,
-                        displayCity
-                    });
-                }
-            }
-        }
-    }
-
-    // 2. Sort by keyword length to match more specific keywords first (e.g., "us-newyork" before "us")
-    allKeywords.sort((a, b) => b.keyword.length - a.keyword.length);
-
-    // 3. Find the first matching keyword in the file name
-    for (const { keyword, countryCode, countryNameKey, displayCity } of allKeywords) {
-        const regex = new RegExp(`\\b${keyword}\\b`, 'i'); // Use case-insensitive regex
-        if (regex.test(name)) {
-            const countryName = translations[countryNameKey] || countryNameKey;
-            return {
-                flag: `<img src="config/flags/${countryCode}.svg" class="country-flag" alt="${countryName}" title="${countryName}">`,
-                name: countryName,
-                city: displayCity.charAt(0).toUpperCase() + displayCity.slice(1)
-            };
-        }
+    // Same matching rules as the server (locations/location-matcher.js)
+    const location = Array.isArray(locationData) ? locationMatcher.findLocation(fileName, locationData) : null;
+    if (location) {
+        const countryName = translations[location.countryNameKey] || location.countryNameKey;
+        return {
+            flag: `<img src="config/flags/${location.flag || location.countryCode}.svg" class="country-flag" alt="${countryName}" title="${countryName}">`,
+            name: countryName,
+            city: locationMatcher.getDisplayCity(location)
+        };
     }
 
-    // 4. Fallback for generic names if no keyword matches
+    // Fallback for generic names if no keyword matches
     if (name.includes('server')) return { flag: `<i class="fas fa-server country-flag" title="${translations.server || 'Server'}"></i>`, name: translations.genericServer || 'Generic Server', city: null };
     if (name.includes('test')) return { flag: `<i class="fas fa-flask country-flag" title="${translations.test || 'Test'}"></i>`, name: translations.testConfig || 'Test Config', city: null };
     if (name.includes('backup')) return { flag: `<i class="fas fa-save country-flag" title="${translations.backup || 'Backup'}"></i>`, name: translations.backupConfig || 'Backup Config', city: null };
 
-    // 5. Return default if no match at all
+    // Return default if no match at all
     return defaultLocation;
 }
 
@@ -988,8 +1147,7 @@ async function clearOperationHistory() {
     try {
         const result = await api.clearOperationHistory();
         if (result.success) {
-            operationHistory = [];
-            updateHistoryDisplay();
+            loadHistory(1);
             showNotification(translations.historyCleared, 'success');
         } else {
             showNotification(translations.errorClearingHistory, 'error');
@@ -999,6 +1157,454 @@ async function clearOperationHistory() {
     }
 }
  
+// Scheduled rotation
+async function loadSchedules() {
+    try {
+        const result = await api.getSchedules();
+        displaySchedules(result.schedules);
+    } catch (error) {
+        showNotification(translations.errorLoading.replace('{error}', error.message), 'error');
+    }
+}
+
+function displaySchedules(schedules) {
+    if (!scheduleList) return;
+    if (schedules.length === 0) {
+        scheduleList.innerHTML = `<p class="no-operations">${translations.noSchedule}</p>`;
+        return;
+    }
+
+    scheduleList.innerHTML = schedules.map(schedule => {
+        const modeText = schedule.mode === 'random' ? translations.scheduleModeRandomShort : translations.scheduleModeSequenceShort;
+        const configs = schedule.configs.length > 0 ? escapeHtml(schedule.configs.join(', ')) : translations.allAvailableConfigs;
+        const nextRun = schedule.error
+            ? `<span class="config-warning">${escapeHtml(schedule.error)}</span>`
+            : schedule.nextRunAt ? formatTimestamp(new Date(schedule.nextRunAt)) : '-';
+        let lastRun = '';
+        if (schedule.lastRunAt) {
+            const outcome = schedule.lastResult && schedule.lastResult.outcome === 'committed'
+                ? escapeHtml(schedule.lastResult.sourceName)
+                : `${translations.failed} (${escapeHtml(schedule.lastResult && schedule.lastResult.error)})`;
+            lastRun = `<p>${translations.lastRun}: ${formatTimestamp(new Date(schedule.lastRunAt))} - ${outcome}</p>`;
+        }
+
+        return `
+        <div class="schedule-item ${schedule.enabled ? '' : 'disabled'}">
+            <div>
+                <h4>${escapeHtml(schedule.name)} <code>${escapeHtml(schedule.cron)}</code></h4>
+                <p>${modeText}: ${configs}</p>
+                <p>${translations.nextRun}: ${nextRun}</p>
+                ${lastRun}
+            </div>
+            <div class="schedule-actions">
+                <button class="btn btn-secondary btn-small" data-min-role="admin" title="${schedule.enabled ? translations.disable : translations.enable}" onclick="toggleSchedule('${schedule.id}', ${!schedule.enabled})">
+                    <i class="fas ${schedule.enabled ? 'fa-pause' : 'fa-play'}"></i>
+                </button>
+                <button class="btn btn-success btn-small" data-min-role="operator" title="${translations.runNow}" onclick="runSchedule('${schedule.id}')">
+                    <i class="fas fa-forward"></i>
+                </button>
+                <button class="btn btn-warning btn-small" data-min-role="admin" title="${translations.delete}" onclick="deleteSchedule('${schedule.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        </div>
+    `}).join('');
+}
+
+function updateScheduleConfigOptions() {
+    const select = document.getElementById('scheduleConfigs');
+    if (!select) return;
+    const selected = Array.from(select.selectedOptions).map(option => option.value);
+    select.innerHTML = locationData
+        .flatMap(location => location.files)
+        .map(fileName => `<option value="${escapeHtml(fileName)}" ${selected.includes(fileName) ? 'selected' : ''}>${escapeHtml(fileName)}</option>`)
+        .join('');
+}
+
+async function createSchedule(e) {
+    e.preventDefault();
+    const schedule = {
+        name: document.getElementById('scheduleName').value,
+        cron: document.getElementById('scheduleCron').value,
+        mode: document.getElementById('scheduleMode').value,
+        configs: Array.from(document.getElementById('scheduleConfigs').selectedOptions).map(option => option.value)
+    };
+
+    try {
+        await api.createSchedule(schedule);
+        scheduleForm.reset();
+        showNotification(translations.scheduleCreated, 'success');
+        loadSchedules();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
+async function toggleSchedule(id, enabled) {
+    try {
+        await api.updateSchedule(id, { enabled });
+        loadSchedules();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
+async function runSchedule(id) {
+    try {
+        showNotification(translations.activationInProgress, 'info');
+        const result = await api.runSchedule(id);
+        if (result.success) {
+            showNotification(translations.scheduleRunSuccess.replace('{fileName}', result.schedule.lastResult.sourceName), 'success');
+            followActivation();
+        } else {
+            showNotification(result.error, 'error');
+        }
+        loadSchedules();
+        loadHistory(1);
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
+async function deleteSchedule(id) {
+    try {
+        await api.deleteSchedule(id);
+        showNotification(translations.scheduleDeleted, 'success');
+        loadSchedules();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
+// Location activation: the server picks one of the location's files
+function updateLocationOptions() {
+    const select = document.getElementById('locationSelect');
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = locationData
+        .filter(location => location.isAvailable)
+        .map(location => {
+            const countryName = translations[location.countryNameKey] || location.countryNameKey;
+            return `<option value="${location.countryCode}" ${location.countryCode === selected ? 'selected' : ''}>${countryName} (${location.files.length})</option>`;
+        })
+        .join('');
+    activateLocationBtn.disabled = select.options.length === 0;
+
+    // Every location can be used as a history filter, even without files
+    const historyLocation = document.getElementById('historyLocation');
+    const historySelected = historyLocation.value;
+    historyLocation.innerHTML = `<option value="">${translations.historyAllLocations}</option>` + locationData
+        .map(location => {
+            const countryName = translations[location.countryNameKey] || location.countryNameKey;
+            return `<option value="${location.countryCode}" ${location.countryCode === historySelected ? 'selected' : ''}>${countryName}</option>`;
+        })
+        .join('');
+}
+
+async function loadDefaultStrategy() {
+    try {
+        const { defaultStrategy } = await api.getServerSelection();
+        document.getElementById('strategySelect').value = defaultStrategy;
+    } catch (error) {
+        console.error('Could not load the default strategy:', error);
+    }
+}
+
+async function activateLocation() {
+    const countryCode = document.getElementById('locationSelect').value;
+    const strategy = document.getElementById('strategySelect').value;
+    if (!countryCode) return;
+
+    activateLocationBtn.disabled = true;
+    try {
+        showNotification(translations.activationInProgress, 'info');
+        const result = await api.activateLocation(countryCode, strategy);
+        showNotification(translations.locationActivated.replace('{fileName}', result.picked.fileName), 'success');
+        followActivation();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    } finally {
+        activateLocationBtn.disabled = false;
+        loadHistory(1);
+    }
+}
+
+// Locations editor (config/locations.json)
+async function loadLocationEntries() {
+    if (!locationEntries) return;
+    try {
+        const result = await api.getLocationsOverview();
+        locationEntriesData = result.locations;
+        displayLocationEntries(result);
+    } catch (error) {
+        showNotification(translations.errorLoading.replace('{error}', error.message), 'error');
+    }
+}
+
+function displayLocationEntries({ locations, unmatchedFiles, flags }) {
+    if (locations.length === 0) {
+        locationEntries.innerHTML = `<p class="no-operations">${translations.noLocation}</p>`;
+    } else {
+        locationEntries.innerHTML = locations.map(location => {
+            const countryName = escapeHtml(translations[location.countryNameKey] || location.countryNameKey);
+            const matches = location.files.length > 0
+                ? escapeHtml(location.files.join(', '))
+                : `<span class="config-warning">${translations.noMatchingFile}</span>`;
+
+            return `
+            <div class="location-item ${location.files.length > 0 ? '' : 'unmatched'}">
+                <div>
+                    <h4><img src="config/flags/${location.flag || location.countryCode}.svg" class="country-flag" alt="${countryName}"> ${countryName} <code>${location.countryCode}</code></h4>
+                    <p>${translations.locationKeywords}: ${escapeHtml(location.keywords.join(', '))}</p>
+                    <p>${translations.matchingFiles}: ${matches}</p>
+                </div>
+                <div class="schedule-actions" data-min-role="admin">
+                    <button class="btn btn-secondary btn-small" title="${translations.edit}" onclick="editLocation('${location.countryCode}')">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn btn-warning btn-small" title="${translations.delete}" onclick="deleteLocation('${location.countryCode}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `}).join('');
+    }
+
+    const unmatched = document.getElementById('unmatchedFiles');
+    unmatched.classList.toggle('hidden', unmatchedFiles.length === 0);
+    unmatched.innerHTML = `<span class="config-warning"><i class="fas fa-exclamation-triangle"></i> ${translations.unmatchedFiles}</span> ${escapeHtml(unmatchedFiles.join(', '))}`;
+
+    const flagSelect = document.getElementById('locationFlag');
+    const selectedFlag = flagSelect.value;
+    flagSelect.innerHTML = `<option value="">${translations.flagFromCountryCode}</option>` +
+        flags.map(flag => `<option value="${flag}" ${flag === selectedFlag ? 'selected' : ''}>${flag}</option>`).join('');
+}
+
+function editLocation(countryCode) {
+    const location = locationEntriesData.find(entry => entry.countryCode === countryCode);
+    if (!location) return;
+    document.getElementById('locationEditing').value = countryCode;
+    document.getElementById('locationCode').value = countryCode;
+    document.getElementById('locationNameKey').value = location.countryNameKey;
+    document.getElementById('locationKeywords').value = location.keywords.join(', ');
+    document.getElementById('locationFlag').value = location.flag || '';
+    document.getElementById('cancelLocationEdit').classList.remove('hidden');
+    locationForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetLocationForm() {
+    locationForm.reset();
+    document.getElementById('locationEditing').value = '';
+    document.getElementById('cancelLocationEdit').classList.add('hidden');
+}
+
+async function saveLocation(e) {
+    e.preventDefault();
+    const editing = document.getElementById('locationEditing').value;
+    const location = {
+        countryCode: document.getElementById('locationCode').value,
+        countryNameKey: document.getElementById('locationNameKey').value,
+        keywords: document.getElementById('locationKeywords').value.split(','),
+        flag: document.getElementById('locationFlag').value
+    };
+
+    try {
+        if (editing) {
+            await api.updateLocation(editing, location);
+        } else {
+            await api.createLocation(location);
+        }
+        resetLocationForm();
+        showNotification(translations.locationSaved, 'success');
+        loadWireguardFiles();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
+async function deleteLocation(countryCode) {
+    try {
+        await api.deleteLocation(countryCode);
+        showNotification(translations.locationDeleted, 'success');
+        loadWireguardFiles();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
+// Notification targets
+const NOTIFY_FIELDS = {
+    url: 'notifyUrl',
+    method: 'notifyMethod',
+    headers: 'notifyHeaders',
+    bodyTemplate: 'notifyBodyTemplate',
+    server: 'notifyServer',
+    topic: 'notifyTopic',
+    token: 'notifyToken',
+    priority: 'notifyPriority',
+    host: 'notifyHost',
+    port: 'notifyPort',
+    username: 'notifyUsername',
+    password: 'notifyPassword',
+    from: 'notifyFrom',
+    to: 'notifyTo'
+};
+const NOTIFY_EVENT_KEYS = {
+    activation_success: 'notifyEventActivationSuccess',
+    activation_failure: 'notifyEventActivationFailure',
+    rollback: 'notifyEventRollback',
+    lockout: 'notifyEventLockout'
+};
+
+async function loadNotificationTargets() {
+    if (!notificationForm) return;
+    try {
+        const result = await api.getNotificationTargets();
+        notificationTargets = result.targets;
+        displayNotificationTargets(result);
+    } catch (error) {
+        showNotification(translations.errorLoading.replace('{error}', error.message), 'error');
+    }
+}
+
+function displayNotificationTargets({ targets, events }) {
+    const container = document.getElementById('notificationTargets');
+    if (targets.length === 0) {
+        container.innerHTML = `<p class="no-operations">${translations.noNotificationTarget}</p>`;
+    } else {
+        container.innerHTML = targets.map(target => {
+            const eventNames = target.events.map(event => translations[NOTIFY_EVENT_KEYS[event]] || event).join(', ');
+            const delivery = target.lastDelivery;
+            const deliveryText = !delivery ? ''
+                : delivery.success
+                    ? `<p>${translations.notifyLastDelivery.replace('{date}', formatTimestamp(new Date(delivery.at)))}</p>`
+                    : `<p class="config-warning">${escapeHtml(translations.notifyLastError.replace('{date}', formatTimestamp(new Date(delivery.at))).replace('{error}', delivery.error))}</p>`;
+
+            return `
+            <div class="location-item ${target.enabled ? '' : 'unmatched'}">
+                <div>
+                    <h4>${escapeHtml(target.name)} <code>${target.type}</code></h4>
+                    <p>${translations.notifyEvents}: ${eventNames}</p>
+                    ${deliveryText}
+                </div>
+                <div class="schedule-actions">
+                    <button class="btn btn-secondary btn-small" title="${translations.sendTestNotification}" onclick="testNotificationTarget('${target.id}', this)">
+                        <i class="fas fa-paper-plane"></i>
+                    </button>
+                    <button class="btn btn-secondary btn-small" title="${translations.edit}" onclick="editNotificationTarget('${target.id}')">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="btn btn-warning btn-small" title="${translations.delete}" onclick="deleteNotificationTarget('${target.id}')">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `}).join('');
+    }
+
+    const eventsContainer = document.getElementById('notifyEvents');
+    if (!eventsContainer.hasChildNodes()) {
+        eventsContainer.innerHTML = events.map(event => `
+            <label><input type="checkbox" value="${event}" checked> ${translations[NOTIFY_EVENT_KEYS[event]] || event}</label>
+        `).join('');
+    }
+    updateNotifyFields();
+}
+
+// Only the fields of the selected type are shown and sent
+function updateNotifyFields() {
+    const type = document.getElementById('notifyType').value;
+    notificationForm.querySelectorAll('[data-notify-types]').forEach(group => {
+        group.classList.toggle('hidden', !group.dataset.notifyTypes.split(' ').includes(type));
+    });
+}
+
+function isNotifyFieldShown(id) {
+    return !document.getElementById(id).closest('[data-notify-types]').classList.contains('hidden');
+}
+
+function editNotificationTarget(id) {
+    const target = notificationTargets.find(entry => entry.id === id);
+    if (!target) return;
+    resetNotificationForm();
+    document.getElementById('notifyEditing').value = id;
+    document.getElementById('notifyName').value = target.name;
+    document.getElementById('notifyType').value = target.type;
+    document.getElementById('notifyRetries').value = target.retries;
+    document.getElementById('notifyEnabled').checked = target.enabled;
+    document.getElementById('notifySecure').checked = !!target.secure;
+    document.querySelectorAll('#notifyEvents input').forEach(input => {
+        input.checked = target.events.includes(input.value);
+    });
+    Object.entries(NOTIFY_FIELDS).forEach(([field, inputId]) => {
+        if (target[field] === undefined) return;
+        const value = target[field];
+        document.getElementById(inputId).value = typeof value === 'object' ? JSON.stringify(value) : value;
+    });
+    updateNotifyFields();
+    document.getElementById('cancelNotifyEdit').classList.remove('hidden');
+    notificationForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetNotificationForm() {
+    notificationForm.reset();
+    document.getElementById('notifyEditing').value = '';
+    document.getElementById('cancelNotifyEdit').classList.add('hidden');
+    updateNotifyFields();
+}
+
+async function saveNotificationTarget(e) {
+    e.preventDefault();
+    const editing = document.getElementById('notifyEditing').value;
+    const target = {
+        name: document.getElementById('notifyName').value,
+        type: document.getElementById('notifyType').value,
+        retries: document.getElementById('notifyRetries').value,
+        enabled: document.getElementById('notifyEnabled').checked,
+        events: [...document.querySelectorAll('#notifyEvents input:checked')].map(input => input.value)
+    };
+    Object.entries(NOTIFY_FIELDS).forEach(([field, inputId]) => {
+        if (isNotifyFieldShown(inputId)) target[field] = document.getElementById(inputId).value;
+    });
+    if (target.type === 'smtp') target.secure = document.getElementById('notifySecure').checked;
+
+    try {
+        if (editing) {
+            await api.updateNotificationTarget(editing, target);
+        } else {
+            await api.createNotificationTarget(target);
+        }
+        resetNotificationForm();
+        showNotification(translations.notificationTargetSaved, 'success');
+        loadNotificationTargets();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
+async function deleteNotificationTarget(id) {
+    try {
+        await api.deleteNotificationTarget(id);
+        showNotification(translations.notificationTargetDeleted, 'success');
+        loadNotificationTargets();
+    } catch (error) {
+        showNotification(`${translations.unexpectedError}: ${error.message}`, 'error');
+    }
+}
+
+async function testNotificationTarget(id, button) {
+    button.disabled = true;
+    try {
+        await api.testNotificationTarget(id);
+        showNotification(translations.testNotificationSent, 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    } finally {
+        button.disabled = false;
+        loadNotificationTargets();
+    }
+}
+ 
 // Global error handling
 window.addEventListener('error', (e) => {
     console.error('Erreur JavaScript:', e.error);
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+// Keys understood by wg-quick / Gluetun, per section
+const INTERFACE_KEYS = ['privatekey', 'address', 'dns', 'mtu', 'listenport', 'table', 'fwmark', 'saveconfig',
+  'preup', 'postup', 'predown', 'postdown'];
+const PEER_KEYS = ['publickey', 'presharedkey', 'endpoint', 'allowedips', 'persistentkeepalive'];
+// Keys that may be repeated; their values are combined
+const LIST_KEYS = ['address', 'dns', 'allowedips'];
+
+const KEY_PATTERN = /^[A-Za-z0-9+/]{42}[AEIMQUYcgkosw480]=$/;
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "host:port", "1.2.3.4:51820" or "[2001:db8::1]:51820". Only hostname and
+// address characters are accepted, the host is shown in the web interface.
+function parseEndpoint(value) {
+  const match = value.match(/^\[([0-9a-fA-F:.]+)\]:(\d+)$/) || value.match(/^([A-Za-z0-9._-]+):(\d+)$/);
+  if (!match) return null;
+  const port = parseInt(match[2], 10);
+  if (port < 1 || port > 65535) return null;
+  return { host: match[1], port };
+}
+
+function isCidr(value) {
+  const [address, prefix, extra] = value.split('/');
+  if (extra !== undefined || !address) return false;
+  const isV4 = /^\d{1,3}(\.\d{1,3}){3}$/.test(address) && address.split('.').every(n => Number(n) <= 255);
+  const isV6 = address.includes(':') && /^[0-9a-fA-F:.]+$/.test(address);
+  if (!isV4 && !isV6) return false;
+  if (prefix === undefined) return true;
+  const bits = Number(prefix);
+  return /^\d+$/.test(prefix) && bits <= (isV4 ? 32 : 128);
+}
+
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16).match(/.{4}/g).join(':');
+}
+
+// Parse [Interface]/[Peer] sections. Never throws: problems are reported in
+// `errors` (the file cannot be used) and `warnings` (the file may still work).
+function parseConfig(content) {
+  const errors = [];
+  const warnings = [];
+  let iface = null;
+  const peers = [];
+  let section = null;
+
+  String(content).split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      const name = header[1].trim().toLowerCase();
+      if (name === 'interface') {
+        if (iface) errors.push(`Line ${lineNumber}: duplicate [Interface] section`);
+        iface = iface || {};
+        section = { name, values: iface };
+      } else if (name === 'peer') {
+        const peer = {};
+        peers.push(peer);
+        section = { name, values: peer };
+      } else {
+        warnings.push(`Line ${lineNumber}: unknown section [${header[1]}] ignored`);
+        section = { name, values: {}, unknown: true };
+      }
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z]+)\s*=\s*(.*)$/);
+    if (!pair) {
+      errors.push(`Line ${lineNumber}: expected "Key = Value"`);
+      return;
+    }
+    if (!section) {
+      errors.push(`Line ${lineNumber}: "${pair[1]}" is outside of any section`);
+      return;
+    }
+    if (section.unknown) return;
+
+    const key = pair[1].toLowerCase();
+    const value = pair[2].trim();
+    const knownKeys = section.name === 'interface' ? INTERFACE_KEYS : PEER_KEYS;
+    if (!knownKeys.includes(key)) {
+      warnings.push(`Line ${lineNumber}: unknown key "${pair[1]}" in [${section.name === 'interface' ? 'Interface' : 'Peer'}]`);
+    }
+
+    if (LIST_KEYS.includes(key)) {
+      section.values[key] = [...(section.values[key] || []), ...splitList(value)];
+    } else {
+      if (key in section.values) warnings.push(`Line ${lineNumber}: "${pair[1]}" is defined more than once`);
+      section.values[key] = value;
+    }
+  });
+
+  validate(iface, peers, errors, warnings);
+
+  return { interface: iface, peers, errors, warnings, valid: errors.length === 0 };
+}
+
+function validate(iface, peers, errors, warnings) {
+  if (!iface) {
+    errors.push('Missing [Interface] section');
+  } else {
+    if (!iface.privatekey) errors.push('[Interface] PrivateKey is required');
+    else if (!KEY_PATTERN.test(iface.privatekey)) errors.push('[Interface] PrivateKey is not a valid WireGuard key');
+
+    if (!iface.address || iface.address.length === 0) errors.push('[Interface] Address is required');
+    else iface.address.filter(a => !isCidr(a)).forEach(a => errors.push(`[Interface] Address "${a}" is not a valid IP address`));
+
+    if (iface.mtu !== undefined) {
+      const mtu = Number(iface.mtu);
+      if (!Number.isInteger(mtu) || mtu < 576 || mtu > 65535) warnings.push(`[Interface] MTU "${iface.mtu}" looks wrong`);
+    }
+    if (!iface.dns) warnings.push('[Interface] No DNS server set');
+  }
+
+  if (peers.length === 0) {
+    errors.push('Missing [Peer] section');
+  } else if (peers.length > 1) {
+    warnings.push(`${peers.length} [Peer] sections found, Gluetun only uses the first one`);
+  }
+
+  peers.forEach((peer, i) => {
+    const label = peers.length > 1 ? `[Peer] #${i + 1}` : '[Peer]';
+    if (!peer.publickey) errors.push(`${label} PublicKey is required`);
+    else if (!KEY_PATTERN.test(peer.publickey)) errors.push(`${label} PublicKey is not a valid WireGuard key`);
+
+    if (peer.presharedkey && !KEY_PATTERN.test(peer.presharedkey)) errors.push(`${label} PresharedKey is not a valid WireGuard key`);
+
+    if (!peer.endpoint) errors.push(`${label} Endpoint is required`);
+    else if (!parseEndpoint(peer.endpoint)) errors.push(`${label} Endpoint "${peer.endpoint}" must be host:port`);
+
+    if (!peer.allowedips || peer.allowedips.length === 0) errors.push(`${label} AllowedIPs is required`);
+    else peer.allowedips.filter(a => !isCidr(a)).forEach(a => errors.push(`${label} AllowedIPs "${a}" is not a valid CIDR`));
+  });
+}
+
+// Information safe to send to the browser: no private or preshared key
+function getDetails(parsed) {
+  const iface = parsed.interface || {};
+  const peer = parsed.peers[0] || {};
+  const endpoint = peer.endpoint ? parseEndpoint(peer.endpoint) : null;
+
+  return {
+    endpointHost: endpoint ? endpoint.host : null,
+    endpointPort: endpoint ? endpoint.port : null,
+    addresses: iface.address || [],
+    dns: iface.dns || [],
+    mtu: iface.mtu ? Number(iface.mtu) : null,
+    allowedIPs: peer.allowedips || [],
+    peerKeyFingerprint: peer.publickey ? fingerprint(peer.publickey) : null,
+    hasPresharedKey: !!peer.presharedkey,
+    persistentKeepalive: peer.persistentkeepalive ? Number(peer.persistentkeepalive) : null,
+    peerCount: parsed.peers.length
+  };
+}
+
+module.exports = {
+  parseConfig,
+  parseEndpoint,
+  getDetails
+};
@@ -0,0 +1,120 @@
+const fs = require('fs').promises;
+const path = require('path');
+const wireguardParser = require('./wireguard.parser');
+
+const MAX_CONFIG_SIZE = 64 * 1024;
+const MAX_UPLOAD_FILES = 20; // Per request
+
+function getWireguardDir() {
+  const wireguardDir = process.env.WIREGUARD_DIR;
+  if (!wireguardDir) {
+    throw new Error("La variable d'environnement WIREGUARD_DIR n'est pas configurée sur le serveur.");
+  }
+  return wireguardDir;
+}
+
+// Names of the selectable configurations (every .conf file except wg0.conf)
+async function listConfigFiles() {
+  const files = await fs.readdir(getWireguardDir());
+  return files.filter(file => file.endsWith('.conf') && file !== 'wg0.conf');
+}
+
+// Resolve a configuration identifier (its file name) to a path that is
+// guaranteed to be a regular file inside WIREGUARD_DIR. Rejects path
+// separators, wg0.conf itself and symlinks pointing outside of the directory.
+async function resolveConfigPath(name) {
+  const fileName = String(name || '');
+  if (!fileName || fileName !== path.basename(fileName) || fileName === '.' || fileName === '..') {
+    throw new Error(`Invalid configuration name "${fileName}"`);
+  }
+  if (!fileName.endsWith('.conf') || fileName.toLowerCase() === 'wg0.conf') {
+    throw new Error(`"${fileName}" is not a selectable configuration`);
+  }
+
+  const wireguardDir = await fs.realpath(getWireguardDir());
+  const realPath = await fs.realpath(path.join(wireguardDir, fileName)); // ENOENT if missing
+  if (path.dirname(realPath) !== wireguardDir) {
+    throw new Error(`"${fileName}" points outside of the WireGuard directory`);
+  }
+  if (path.basename(realPath).toLowerCase() === 'wg0.conf') {
+    throw new Error(`"${fileName}" points to wg0.conf`);
+  }
+  if (!(await fs.stat(realPath)).isFile()) {
+    throw new Error(`"${fileName}" is not a file`);
+  }
+  return realPath;
+}
+
+// Keep uploaded names to a plain "name.conf" inside WIREGUARD_DIR
+function sanitizeConfigName(name) {
+  let fileName = path.basename(String(name || '')).trim().replace(/\s+/g, '-');
+  fileName = `${fileName.replace(/\.conf$/i, '')}.conf`; // "X.CONF" is saved as "X.conf"
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*\.conf$/.test(fileName)) {
+    throw new Error(`Invalid file name "${name}"`);
+  }
+  if (fileName.toLowerCase() === 'wg0.conf') {
+    throw new Error('wg0.conf is the active configuration and cannot be uploaded');
+  }
+  return fileName;
+}
+
+function validateConfigContent(content) {
+  if (typeof content !== 'string' || content.trim() === '') throw new Error('The file is empty');
+  if (Buffer.byteLength(content) > MAX_CONFIG_SIZE) throw new Error('The file is too large');
+  const parsed = wireguardParser.parseConfig(content);
+  if (!parsed.valid) {
+    throw new Error(`Invalid WireGuard configuration: ${parsed.errors.join('; ')}`);
+  }
+}
+
+// Write an uploaded configuration. On a name collision the file is saved as
+// "name-1.conf", "name-2.conf"... unless overwrite is requested.
+async function saveUploadedConfig(name, content, { overwrite = false } = {}) {
+  const fileName = sanitizeConfigName(name);
+  validateConfigContent(content);
+
+  const wireguardDir = getWireguardDir();
+  const baseName = fileName.slice(0, -'.conf'.length);
+
+  if (overwrite) {
+    const existing = await fs.lstat(path.join(wireguardDir, fileName)).catch(() => null);
+    if (existing && !existing.isFile()) {
+      throw new Error(`${fileName} exists and is not a regular file`);
+    }
+    const existed = !!existing;
+    await fs.writeFile(path.join(wireguardDir, fileName), content);
+    return { name, savedAs: fileName, status: existed ? 'overwritten' : 'saved' };
+  }
+
+  for (let i = 0; i < 100; i++) {
+    const candidate = i === 0 ? fileName : `${baseName}-${i}.conf`;
+    try {
+      await fs.writeFile(path.join(wireguardDir, candidate), content, { flag: 'wx' });
+      return { name, savedAs: candidate, status: i === 0 ? 'saved' : 'renamed' };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+  throw new Error(`Too many files named like ${fileName}`);
+}
+
+// Validation result and redacted details of a configuration file
+async function inspectConfigFile(filePath) {
+  const parsed = wireguardParser.parseConfig(await fs.readFile(filePath, 'utf8'));
+  return {
+    valid: parsed.valid,
+    errors: parsed.errors,
+    warnings: parsed.warnings,
+    details: wireguardParser.getDetails(parsed)
+  };
+}
+
+module.exports = {
+  MAX_CONFIG_SIZE,
+  MAX_UPLOAD_FILES,
+  getWireguardDir,
+  listConfigFiles,
+  resolveConfigPath,
+  saveUploadedConfig,
+  inspectConfigFile
+};